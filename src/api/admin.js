@@ -0,0 +1,57 @@
+const express = require('express');
+const router = express.Router();
+const adminSessions = require('../services/adminSessions');
+const codeLockout = require('../services/codeLockout');
+const auditLog = require('../services/auditLog');
+const { getBearerToken } = require('../middleware/auth');
+
+// Tell the admin page whether an admin PIN has been set up
+router.get('/status', (req, res) => {
+    res.json({ enabled: adminSessions.isEnabled() });
+});
+
+// Log in to the admin page with the admin PIN
+router.post('/login', (req, res) => {
+    const clientId = codeLockout.getClientId(req.ip);
+
+    if (!adminSessions.isEnabled()) {
+        return res.status(403).json({ success: false, message: 'Set ADMIN_PIN to enable the admin page' });
+    }
+
+    // Wrong admin PINs lock out this client's admin logins, never the keypads
+    const lockout = codeLockout.getAdminLockout(clientId);
+    if (lockout) {
+        res.set('Retry-After', String(lockout.seconds));
+        return res.status(429).json({
+            success: false,
+            message: `Too many failed attempts. Locked for ${lockout.seconds} seconds.`,
+            lockout: lockout
+        });
+    }
+
+    const session = adminSessions.login(req.body && req.body.pin);
+
+    auditLog.record({
+        mode: 'admin_login',
+        outcome: session ? 'success' : 'rejected',
+        status: session ? 200 : 401,
+        client: clientId,
+        userAgent: req.get('User-Agent') || null
+    });
+
+    if (!session) {
+        const newLockout = codeLockout.recordAdminFailure(clientId);
+        return res.status(401).json({ success: false, message: 'Incorrect admin PIN', lockout: newLockout });
+    }
+
+    codeLockout.recordAdminSuccess(clientId);
+    res.json({ success: true, ...session });
+});
+
+// End the admin page session
+router.post('/logout', (req, res) => {
+    adminSessions.logout(getBearerToken(req));
+    res.json({ success: true });
+});
+
+module.exports = router;
@@ -1,216 +1,262 @@
 const express = require('express');
+const axios = require('axios');
+const crypto = require('crypto');
 const router = express.Router();
+const config = require('../config');
+const { MASTER_AREA, isValidArea } = require('../services/alarmAreas');
+const codeLockout = require('../services/codeLockout');
+const auditLog = require('../services/auditLog');
+const commandBroker = require('../services/commandBroker');
+const metrics = require('../services/metrics');
+const { getMessage } = require('../services/messages');
 
 // Get alarm state
 router.get('/state', (req, res) => {
-    // Return the latest state received via MQTT
-    res.json({ state: req.app.locals.alarmState || 'unknown' });
+    const area = req.query.area || MASTER_AREA;
+    
+    // Return the latest state received via MQTT, with what tripped the alarm if it went off
+    res.json({
+        area,
+        state: req.app.locals.alarmStates[area] || 'unknown',
+        trigger: req.app.locals.alarmTrigger
+    });
+});
+
+// Get the state of every known area
+router.get('/areas', (req, res) => {
+    const areas = Object.entries(req.app.locals.alarmStates).map(([area, state]) => ({ area, state }));
+    res.json({ areas });
 });
 
 // Arm the alarm
-router.post('/updateAlarmState', (req, res) => {
-    const { mode, code } = req.body;
+router.post('/updateAlarmState', async (req, res) => {
+    const { mode, area } = req.body;
+    let { code } = req.body;
+    
+    // Refuse unknown modes and areas before they reach the metrics, the audit log or Alarmo
+    if (!commandBroker.isValidMode(mode)) {
+        return res.status(400).json({ success: false, ...getMessage('error.invalidMode') });
+    }
+    if (area !== undefined && area !== null && area !== MASTER_AREA &&
+        !(isValidArea(area) && Object.prototype.hasOwnProperty.call(req.app.locals.alarmStates, area))) {
+        return res.status(400).json({ success: false, ...getMessage('error.invalidArea') });
+    }
+    
+    // Watched sensors shown open when the user chose to arm anyway; these are stored and sent to every keypad
+    const bypassSensors = req.body.bypassSensors === undefined ? [] : req.body.bypassSensors;
+    if (!Array.isArray(bypassSensors) || !bypassSensors.every(entityId => config.sensors.list.includes(entityId))) {
+        return res.status(400).json({ success: false, ...getMessage('error.invalidSensors') });
+    }
+    
+    // Arming anyway forces Alarmo past every open sensor, watched or not
+    const force = req.body.force === true || bypassSensors.length > 0;
+    const clientId = codeLockout.getClientId(req.ip);
+    // Prefer the keypad ID the device was paired with over the one it reports
+    const keypadId = (req.device && req.device.keypadId) || req.get('X-Keypad-Id') || null;
+    const startedAt = Date.now();
+    
+    // A duress code disarms like the real code but silently raises an alert
+    const duress = mode === 'disarm' && isDuressCode(code);
 
-    console.log(`Updating alarm state with mode: ${mode}, code: ${code}`);
+    // Never log the security code
+    console.log(`Updating alarm state with mode: ${mode}, area: ${area || MASTER_AREA}, client: ${clientId}`);
+    
+    // Send the response and record the command and its outcome in the audit log
+    const respond = (status, body) => {
+        const outcome = getAuditOutcome(status, body);
+        metrics.recordCommand(mode, outcome);
+        auditLog.record({
+            mode: mode,
+            area: area || MASTER_AREA,
+            outcome: outcome,
+            event: body.event || null,
+            status: status,
+            latencyMs: Date.now() - startedAt,
+            client: clientId,
+            keypadId: keypadId,
+            userAgent: req.get('User-Agent') || null,
+            bypassedSensors: body.bypassedSensors && body.bypassedSensors.length > 0
+                ? body.bypassedSensors.map(sensor => sensor.entity_id)
+                : (bypassSensors.length > 0 ? bypassSensors : undefined),
+            ...(duress ? { duress: true } : {})
+        });
+        return res.status(status).json(body);
+    };
     
     // Check if code is provided
     if (!code) {
-        return res.status(400).json({ success: false, message: 'Security code is required' });
+        return respond(400, { success: false, ...getMessage('error.codeRequired') });
     }
     
-    // Get MQTT client from app locals
-    const mqttClient = req.app.locals.mqttClient;
-    const io = req.app.locals.io;
-    
-    // Track if we've responded yet
-    let hasResponded = false;
-    
-    // Set up a response timeout (5 seconds)
-    const responseTimeout = setTimeout(() => {
-        if (!hasResponded) {
-            hasResponded = true;
-            // Remove the event listener to prevent memory leaks
-            mqttClient.removeListener('message', responseHandler);
-            // Emit timeout event via Socket.IO
-            if (io) {
-                io.emit('alarmUpdateTimeout', { mode });
-            }
-            // Return timeout error
-            res.status(504).json({ 
-                success: false, 
-                message: 'Timeout waiting for alarm system response',
-                event: 'TIMEOUT'
-            });
+    // Raise the silent alert before anything can refuse the command - a coerced
+    // user must be heard even from a locked out or rate limited keypad
+    if (duress) {
+        raiseDuressAlert(req.app, {
+            area: area || MASTER_AREA,
+            client: clientId,
+            keypadId: keypadId
+        });
+    }
+    
+    // Refuse codes from locked out keypads before they reach Alarmo
+    const lockout = codeLockout.getLockout(clientId);
+    if (lockout) {
+        res.set('Retry-After', String(lockout.seconds));
+        return respond(429, { 
+            success: false, 
+            ...getMessage('error.lockedOut', { seconds: lockout.seconds }),
+            event: 'LOCKED_OUT',
+            lockout: lockout
+        });
+    }
+    
+    if (codeLockout.isRateLimited(clientId)) {
+        res.set('Retry-After', '60');
+        return respond(429, { 
+            success: false, 
+            ...getMessage('error.rateLimited'),
+            event: 'RATE_LIMITED'
+        });
+    }
+    
+    if (duress) {
+        // Swap in the real code so Alarmo disarms exactly as normal
+        code = config.security.duressDisarmCode;
+    }
+    
+    // Queue the command behind any other keypad's command and wait for its true outcome
+    const { status, body } = await commandBroker.submit({
+        mode: mode,
+        code: code,
+        area: area || MASTER_AREA,
+        force: force,
+        keypadId: keypadId
+    });
+    
+    if (body.event === 'INVALID_CODE_PROVIDED') {
+        // Count the wrong code and lock out if that was one too many
+        const newLockout = codeLockout.recordFailure(clientId);
+        if (newLockout) {
+            announceLockout(req.app, newLockout);
         }
-    }, 5000);
-    
-    // Set up a one-time listener for the response
-    const responseHandler = (topic, message) => {
-        console.log(`Received message on topic ${topic}: ${message.toString()}`);
-        if (topic === 'alarmo/event') {
-            try {
-                console.log(`Response received on ${topic}: ${message.toString()}`);
-                const response = JSON.parse(message.toString());
-
-                // Only process if we haven't responded yet
-                if (!hasResponded) {
-                    switch (response.event) {
-                        case 'ARM_AWAY':
-                        case 'ARM_HOME':
-                        case 'ARM_NIGHT':
-                        case 'ARM_VACATION':
-                        case 'ARM_CUSTOM_BYPASS':
-                            hasResponded = true;
-                            clearTimeout(responseTimeout);
-                            mqttClient.removeListener('message', responseHandler);
-                            res.status(200).json({ 
-                                success: true, 
-                                event: response.event,
-                                state: mapEventToState(response.event)
-                            });
-                            break;
-                            
-                        case 'TRIGGER':
-                            hasResponded = true;
-                            clearTimeout(responseTimeout);
-                            mqttClient.removeListener('message', responseHandler);
-                            res.status(200).json({ 
-                                success: true, 
-                                event: response.event,
-                                state: 'triggered' 
-                            });
-                            break;
-                            
-                        case 'FAILED_TO_ARM':
-                        case 'COMMAND_NOT_ALLOWED':
-                        case 'INVALID_CODE_PROVIDED':
-                        case 'NO_CODE_PROVIDED':
-                            hasResponded = true;
-                            clearTimeout(responseTimeout);
-                            mqttClient.removeListener('message', responseHandler);
-                            res.status(400).json({ 
-                                success: false, 
-                                message: getErrorMessage(response.event), 
-                                event: response.event 
-                            });
-                            break;
-                            
-                        default:
-                            // Only handle unrecognized events if we haven't responded yet
-                            if (!hasResponded) {
-                                hasResponded = true;
-                                clearTimeout(responseTimeout);
-                                mqttClient.removeListener('message', responseHandler);
-                                res.status(400).json({ 
-                                    success: false, 
-                                    message: 'Unrecognized alarm event received', 
-                                    event: response.event 
-                                });
-                            }
-                    }
-                }
-            } catch (e) {
-                console.error('Error parsing MQTT response:', e);
-                
-                // Only respond with error if we haven't already responded
-                if (!hasResponded) {
-                    hasResponded = true;
-                    clearTimeout(responseTimeout);
-                    mqttClient.removeListener('message', responseHandler);
-                    
-                    // Emit error via socket.io
-                    if (io) {
-                        io.emit('alarmUpdateError', { 
-                            error: 'PARSE_ERROR',
-                            message: 'Failed to parse alarm system response'
-                        });
-                    }
-                    
-                    res.status(500).json({ 
-                        success: false, 
-                        message: 'Failed to parse alarm system response' 
-                    });
-                }
-            }
+        body.lockout = newLockout;
+    }
+    
+    if (body.success) {
+        codeLockout.recordSuccess(clientId);
+        
+        // Remember the sensors that were open when armed so every keypad can show them while armed:
+        // the ones Alarmo says it forced past, or else the watched sensors the keypad saw open
+        if (mode !== 'disarm') {
+            const bypassed = force && Array.isArray(body.sensors) && body.sensors.length > 0
+                ? body.sensors
+                : bypassSensors.map(entityId => ({ entity_id: entityId, name: null }));
+            req.app.locals.bypassedSensors[area || MASTER_AREA] = bypassed;
+            body.bypassedSensors = bypassed;
         }
+    }
+    
+    respond(status, body);
+});
 
-        if (topic === 'alarmo/state') {
-            // handle disarmed state
-            const state = message.toString();
-            if (state === 'disarmed') {
-                hasResponded = true;
-                clearTimeout(responseTimeout);
-                mqttClient.removeListener('message', responseHandler);
-                res.status(200).json({ 
-                    success: true, 
-                    event: 'DISARMED',
-                    state: 'disarmed' 
-                });
+/**
+ * Tells keypads and Home Assistant that a lockout has started
+ * Client lockouts go to that keypad's sockets, global lockouts to every keypad
+ * @param {Object} app - The express app holding the MQTT and socket.io clients
+ * @param {Object} lockout - The lockout returned by codeLockout.recordFailure
+ */
+function announceLockout(app, lockout) {
+    const { io, mqttClient } = app.locals;
+    
+    console.warn(`Keypad lockout (${lockout.scope}${lockout.clientId ? ' ' + lockout.clientId : ''}) for ${lockout.seconds} seconds`);
+    
+    if (io) {
+        if (lockout.scope === codeLockout.GLOBAL_SCOPE) {
+            io.emit('keypadLockout', lockout);
+        } else {
+            for (const socket of io.sockets.sockets.values()) {
+                if (codeLockout.getClientId(socket.handshake.address) === lockout.clientId) {
+                    socket.emit('keypadLockout', lockout);
+                }
             }
         }
-    };
-    
-    // Listen for the response
-    mqttClient.on('message', responseHandler);
+    }
     
-    // Send command to update the alarm using Alarmo's MQTT API
     try {
-        mqttClient.publish('alarmo/command', JSON.stringify({
-            command: mode,
-            code: code
+        mqttClient.publish(config.security.lockoutTopic, JSON.stringify({
+            event: 'KEYPAD_LOCKOUT',
+            ...lockout,
+            timestamp: new Date().toISOString()
         }));
     } catch (error) {
-        console.error('Error sending MQTT command:', error);
-        
-        // Clean up the listener since we're responding with an error
-        clearTimeout(responseTimeout);
-        mqttClient.removeListener('message', responseHandler);
-        hasResponded = true;
-        
-        // Emit error via socket.io
-        if (io) {
-            io.emit('alarmUpdateError', {
-                error: 'MQTT_PUBLISH_ERROR',
-                message: 'Failed to send command to alarm system'
-            });
-        }
-        
-        res.status(500).json({ 
-            success: false, 
-            message: 'Failed to send command to alarm system' 
-        });
+        console.error('Error publishing lockout event:', error);
     }
-});
+}
+
+/**
+ * Checks whether a code is the configured duress code
+ * Only active when both the duress code and the real disarm code are set
+ * @param {string} code - The code entered on the keypad
+ * @returns {boolean}
+ */
+function isDuressCode(code) {
+    const { duressCode, duressDisarmCode } = config.security;
+    if (!duressCode || !duressDisarmCode || typeof code !== 'string') {
+        return false;
+    }
+    
+    // Constant-time comparison so timing doesn't reveal the duress code
+    const expected = Buffer.from(String(duressCode));
+    const actual = Buffer.from(code);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
 
 /**
- * Helper function to map alarm events to states
- * @param {string} event - The event from alarmo
- * @returns {string} The corresponding state
+ * Silently reports a duress disarm to MQTT and as a Home Assistant event
+ * Nothing is sent to the keypads, so the person at the door sees a normal disarm
+ * @param {Object} app - The express app holding the MQTT client
+ * @param {Object} details - Where the duress code was entered (area, client, keypadId)
  */
-function mapEventToState(event) {
-    switch(event) {
-        case 'ARM_AWAY': return 'armed_away';
-        case 'ARM_HOME': return 'armed_home';
-        case 'ARM_NIGHT': return 'armed_night';
-        case 'ARM_VACATION': return 'armed_vacation';
-        case 'ARM_CUSTOM_BYPASS': return 'armed_custom_bypass';
-        case 'TRIGGER': return 'triggered';
-        default: return 'unknown';
+function raiseDuressAlert(app, details) {
+    const payload = {
+        event: 'DURESS',
+        ...details,
+        timestamp: new Date().toISOString()
+    };
+    
+    console.warn(`Duress code entered on ${details.keypadId || details.client}`);
+    
+    try {
+        app.locals.mqttClient.publish(config.security.duressTopic, JSON.stringify(payload));
+    } catch (error) {
+        console.error('Error publishing duress event:', error);
     }
+    
+    axios.post(`${config.homeAssistant.apiUrl}/events/${config.security.duressEvent}`, payload, {
+        headers: {
+            'Authorization': `Bearer ${config.homeAssistant.apiKey}`,
+            'Content-Type': 'application/json'
+        }
+    }).catch(error => {
+        console.error('Error firing duress event in Home Assistant:', error.message);
+    });
 }
 
 /**
- * Helper function to get user-friendly error messages
- * @param {string} event - The error event from alarmo
- * @returns {string} User-friendly error message
+ * Helper function to classify a command response for the audit log
+ * @param {number} status - The HTTP status sent to the keypad
+ * @param {Object} body - The response body sent to the keypad
+ * @returns {string} The audit outcome
  */
-function getErrorMessage(event) {
-    switch(event) {
-        case 'FAILED_TO_ARM': return 'Failed to arm the system. Please check if all sensors are closed.';
-        case 'COMMAND_NOT_ALLOWED': return 'Command not allowed in the current state.';
-        case 'INVALID_CODE_PROVIDED': return 'Invalid security code provided.';
-        case 'NO_CODE_PROVIDED': return 'Security code is required for this operation.';
-        default: return 'Failed to change the state of the alarm.';
+function getAuditOutcome(status, body) {
+    if (body.success) return 'success';
+    switch (body.event) {
+        case 'TIMEOUT': return 'timeout';
+        case 'LOCKED_OUT': return 'locked_out';
+        case 'RATE_LIMITED': return 'rate_limited';
+        case 'BUSY': return 'busy';
+        case undefined: return status >= 500 ? 'error' : 'invalid_request';
+        default: return 'rejected';
     }
 }
 
@@ -0,0 +1,45 @@
+const express = require('express');
+const router = express.Router();
+const auditLog = require('../services/auditLog');
+
+/**
+ * Get audit log entries, newest first
+ * Filters: from, to (ISO timestamps), mode, outcome, client (IP or keypad ID)
+ * Paging: page (1-based), pageSize (max 500)
+ * Add format=csv to download every matching entry as CSV instead
+ */
+router.get('/', (req, res) => {
+    try {
+        const { from, to, mode, outcome, client, format } = req.query;
+
+        // Reject dates we can't parse rather than silently ignoring them
+        for (const [name, value] of Object.entries({ from, to })) {
+            if (value && isNaN(new Date(value).getTime())) {
+                return res.status(400).json({ error: `Invalid ${name} date` });
+            }
+        }
+
+        const entries = auditLog.query({ from, to, mode, outcome, client });
+
+        if (format === 'csv') {
+            res.set('Content-Type', 'text/csv; charset=utf-8');
+            res.set('Content-Disposition', `attachment; filename="keypad-audit-${new Date().toISOString().slice(0, 10)}.csv"`);
+            return res.send(auditLog.toCsv(entries));
+        }
+
+        const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+        const pageSize = Math.min(500, Math.max(1, parseInt(req.query.pageSize, 10) || 50));
+
+        res.json({
+            entries: entries.slice((page - 1) * pageSize, page * pageSize),
+            page,
+            pageSize,
+            total: entries.length
+        });
+    } catch (error) {
+        console.error('Error reading audit log:', error);
+        res.status(500).json({ error: 'Failed to read audit log' });
+    }
+});
+
+module.exports = router;
@@ -1,6 +1,26 @@
 const express = require('express');
+const axios = require('axios');
 const router = express.Router();
 const config = require('../config');
+const configLoader = require('../services/configLoader');
+const configSchema = require('../configSchema');
+const soundPacks = require('../services/soundPacks');
+const homeAssistantSocket = require('../services/homeAssistantSocket');
+const { requireAdmin } = require('../middleware/auth');
+
+// Arm modes in display order, with the alarm_control_panel supported_features bit for each
+const ARM_MODE_FEATURES = {
+    arm_home: 1,
+    arm_away: 2,
+    arm_night: 4,
+    arm_vacation: 32,
+    arm_custom_bypass: 16
+};
+
+const DEFAULT_ARM_MODES = ['arm_home', 'arm_away'];
+
+// Largest sound file the admin page may upload
+const MAX_SOUND_SIZE = '2mb';
 
 // Get sensor configuration
 router.get('/sensors', (req, res) => {
@@ -15,4 +35,327 @@ router.get('/sensors', (req, res) => {
     }
 });
 
-module.exports = router;
\ No newline at end of file
+// Get keypad behaviour settings
+router.get('/keypad', (req, res) => {
+    res.json({
+        bypassSensorsTimeout: config.alarm.bypassSensorsTimeout,
+        sounds: config.keypad.sounds,
+        volume: config.keypad.volume,
+        // A keypad given its own theme on the admin page keeps it
+        theme: (req.device && req.device.theme) || config.keypad.theme,
+        themes: getThemeSettings(req.device),
+        largeTargets: config.keypad.largeTargets,
+        scrambleStates: getScrambleStates(req.device),
+        locale: config.keypad.locale,
+        idleTimeout: config.keypad.idleTimeout,
+        kiosk: config.kiosk,
+        speech: getSpeechSettings()
+    });
+});
+
+// Get the sound packs, and the pack, volume and quiet hours for every keypad sound
+router.get('/sounds', (req, res) => {
+    res.json({
+        packs: soundPacks.listPacks(),
+        events: soundPacks.getEventSounds(),
+        quietHours: {
+            enabled: config.sounds.quietHours,
+            start: config.sounds.quietStart,
+            end: config.sounds.quietEnd
+        }
+    });
+});
+
+/**
+ * Upload a sound to a pack from the admin page, creating the pack if needed
+ * The body is the audio file itself, sent with its audio Content-Type
+ */
+router.put('/sounds/:pack/:event', requireAdmin, express.raw({ type: 'audio/*', limit: MAX_SOUND_SIZE }), (req, res) => {
+    const { pack, event } = req.params;
+
+    if (!soundPacks.isValidPackName(pack)) {
+        return res.status(400).json({ success: false, message: 'Pack names may only use lowercase letters, numbers, - and _' });
+    }
+    if (!soundPacks.getSoundEvents().includes(event)) {
+        return res.status(400).json({ success: false, message: `Unknown sound event: ${event}` });
+    }
+
+    const extension = soundPacks.getExtension(req.get('Content-Type'));
+    if (!extension || !Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({ success: false, message: 'Upload an MP3, WAV or OGG file' });
+    }
+
+    try {
+        const url = soundPacks.saveSound(pack, event, req.body, extension);
+        notifySoundsChanged(req.app);
+        res.json({ success: true, pack, event, url });
+    } catch (error) {
+        console.error('Error saving sound:', error);
+        res.status(500).json({ success: false, message: 'Failed to save sound' });
+    }
+});
+
+// Remove a sound from a pack
+router.delete('/sounds/:pack/:event', requireAdmin, (req, res) => {
+    const { pack, event } = req.params;
+
+    if (!soundPacks.isValidPackName(pack) || !soundPacks.getSoundEvents().includes(event)) {
+        return res.status(404).json({ success: false, message: 'Sound not found' });
+    }
+
+    try {
+        if (!soundPacks.deleteSound(pack, event)) {
+            return res.status(404).json({ success: false, message: 'Sound not found' });
+        }
+        notifySoundsChanged(req.app);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting sound:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete sound' });
+    }
+});
+
+// Get every editable setting with its type and limits, for the admin page
+router.get('/settings', requireAdmin, (req, res) => {
+    res.json({ settings: configLoader.describeSettings(config) });
+});
+
+/**
+ * Save settings from the admin page
+ * Body: new values grouped by section, e.g. { "sensors": { "list": ["binary_sensor.door"] } }
+ * Settings are written to the config file and pushed to keypads straight away
+ */
+router.put('/settings', requireAdmin, (req, res) => {
+    try {
+        const result = configLoader.saveSettings(config, req.body);
+        res.json({ success: true, ...result, settings: configLoader.describeSettings(config) });
+    } catch (error) {
+        if (error.errors) {
+            return res.status(400).json({ success: false, message: 'Some settings are invalid', errors: error.errors });
+        }
+        console.error('Error saving settings:', error);
+        res.status(500).json({ success: false, message: 'Failed to save settings' });
+    }
+});
+
+/**
+ * Get Home Assistant entities for autocomplete on the admin page
+ * Optional domain filter, e.g. ?domain=binary_sensor
+ */
+router.get('/entities', requireAdmin, async (req, res) => {
+    try {
+        const response = await axios.get(`${config.homeAssistant.apiUrl}/states`, {
+            headers: {
+                'Authorization': `Bearer ${config.homeAssistant.apiKey}`,
+                'Content-Type': 'application/json'
+            }
+        });
+
+        const entities = response.data
+            .filter(entity => !req.query.domain || entity.entity_id.startsWith(`${req.query.domain}.`))
+            .map(entity => ({
+                entityId: entity.entity_id,
+                name: entity.attributes.friendly_name || entity.entity_id
+            }))
+            .sort((a, b) => a.entityId.localeCompare(b.entityId));
+
+        res.json({ entities });
+    } catch (error) {
+        console.error('Error fetching Home Assistant entities:', error.message);
+        res.status(502).json({ error: 'Failed to fetch entities from Home Assistant' });
+    }
+});
+
+/**
+ * Get the arm modes the keypad should offer
+ * Reads the modes enabled in Alarmo from the alarm entity's supported_features,
+ * optionally narrowed down by the ARM_MODES setting
+ */
+router.get('/modes', async (req, res) => {
+    const configuredModes = (config.alarm.modes || []).filter(mode => mode in ARM_MODE_FEATURES);
+
+    try {
+        const entity = await getAlarmEntity();
+
+        const supportedFeatures = entity.attributes.supported_features || 0;
+        const enabledModes = getModesFromSupportedFeatures(supportedFeatures);
+
+        // Keep the configured order when a mode list is set, but never offer a mode Alarmo has disabled
+        const modes = configuredModes.length > 0
+            ? configuredModes.filter(mode => enabledModes.includes(mode))
+            : enabledModes;
+
+        res.json({ modes, source: 'alarmo' });
+    } catch (error) {
+        console.error('Error fetching enabled arm modes:', error.message);
+        res.json({
+            modes: configuredModes.length > 0 ? configuredModes : DEFAULT_ARM_MODES,
+            source: 'fallback'
+        });
+    }
+});
+
+/**
+ * Get the code format the keypad should accept
+ * code_format comes from the alarm entity ("number" or "text"); the length comes
+ * from its code_length attribute when present, otherwise from CODE_LENGTH
+ */
+router.get('/code', async (req, res) => {
+    const fallback = {
+        format: 'number',
+        length: getCodeLength(config.alarm.codeLength),
+        maxLength: config.alarm.maxCodeLength
+    };
+
+    try {
+        const entity = await getAlarmEntity();
+        const attributes = entity.attributes || {};
+
+        res.json({
+            // Alarmo leaves code_format unset when no code is required; the keypad still needs one to disarm
+            format: attributes.code_format === 'text' ? 'text' : 'number',
+            length: getCodeLength(attributes.code_length) || fallback.length,
+            maxLength: config.alarm.maxCodeLength,
+            source: 'alarmo'
+        });
+    } catch (error) {
+        console.error('Error fetching alarm code format:', error.message);
+        res.json({ ...fallback, source: 'fallback' });
+    }
+});
+
+/**
+ * Helper function to fetch the alarm entity from Home Assistant
+ * @returns {Promise<Object>} The entity state object, including its attributes
+ */
+async function getAlarmEntity() {
+    const response = await axios.get(`${config.homeAssistant.apiUrl}/states/${config.alarm.entityId}`, {
+        headers: {
+            'Authorization': `Bearer ${config.homeAssistant.apiKey}`,
+            'Content-Type': 'application/json'
+        }
+    });
+    return response.data;
+}
+
+/**
+ * Helper function to validate a code length
+ * @param {*} value - The configured or reported length
+ * @returns {number|null} The length, or null if it isn't a usable length
+ */
+function getCodeLength(value) {
+    const length = Number(value);
+    return Number.isInteger(length) && length > 0 && length <= config.alarm.maxCodeLength ? length : null;
+}
+
+/**
+ * Helper function to decode the arm modes from an alarm entity's supported_features bitmask
+ * @param {number} supportedFeatures - The supported_features attribute of the alarm entity
+ * @returns {Array<string>} The enabled arm modes in display order
+ */
+function getModesFromSupportedFeatures(supportedFeatures) {
+    return Object.keys(ARM_MODE_FEATURES).filter(mode => (supportedFeatures & ARM_MODE_FEATURES[mode]) !== 0);
+}
+
+/**
+ * Helper function to tell keypads to reload their sounds after a pack changed
+ * @param {Object} app - The express app holding the socket.io server
+ */
+function notifySoundsChanged(app) {
+    if (app.locals.io) {
+        app.locals.io.emit('configChanged', {
+            changed: ['sounds'],
+            timestamp: new Date().toISOString()
+        });
+    }
+}
+
+// English default phrases from earlier versions, which the admin page may have saved
+// to the config file; keypads speak their own language's phrase instead
+const OUTDATED_SPEECH_TEMPLATES = {
+    armed: ['Armed {mode}'],
+    disarmed: ['Disarmed'],
+    exitDelay: ['Exit delay, {seconds} seconds'],
+    entryDelay: ['Entry delay, {seconds} seconds'],
+    triggered: ['Alarm! {sensors}'],
+    openSensors: ['{sensors} {is} open, press arm again to arm anyway', '{sensors} {is} open, press arm anyway to bypass'],
+    armFailed: ['Could not arm, {sensors} {is} open'],
+    wrongCode: ['Wrong code'],
+    lockout: ['Keypad locked for {seconds} seconds']
+};
+
+/**
+ * Helper function to group the speech settings by event for the keypad
+ * @returns {Object} { enabled, rate, language, events: { armed: { enabled, volume, template }, ... } };
+ *   a null template means the keypad speaks its language's phrase
+ */
+function getSpeechSettings() {
+    const speech = config.speech;
+    const events = {};
+
+    Object.keys(speech)
+        .filter(key => key.endsWith('Template'))
+        .forEach(key => {
+            const event = key.slice(0, -'Template'.length);
+            const outdated = (OUTDATED_SPEECH_TEMPLATES[event] || []).includes(speech[key]);
+            events[event] = {
+                enabled: speech[`${event}Enabled`],
+                volume: speech[`${event}Volume`],
+                template: outdated ? null : speech[key]
+            };
+        });
+
+    return {
+        enabled: speech.enabled,
+        rate: speech.rate,
+        language: speech.language,
+        events: events
+    };
+}
+
+/**
+ * Helper function to pick the alarm states a keypad scrambles its pinpad in
+ * @param {Object|null} device - The requesting device, null for the admin
+ * @returns {Array<string>} Every state for keypads set to always scramble, none for never
+ */
+function getScrambleStates(device) {
+    const scramble = device ? device.scramble : null;
+    if (scramble === 'always') {
+        return configSchema.keypad.scrambleStates.values;
+    }
+    return scramble === 'never' ? [] : config.keypad.scrambleStates;
+}
+
+/**
+ * Helper function to gather the automatic theme settings for a keypad
+ * @param {Object|null} device - The requesting device, null for the admin
+ * @returns {Object} { pinned, auto, nightTheme, nightStart, nightEnd, sunEntity, sunState, states: { armed_night: 'night', ... } }
+ */
+function getThemeSettings(device) {
+    const themes = config.themes;
+    const states = {};
+
+    Object.keys(themes)
+        .filter(key => key.endsWith('Theme') && key !== 'nightTheme')
+        .forEach(key => {
+            // armedNightTheme -> armed_night
+            const state = key.slice(0, -'Theme'.length).replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+            states[state] = themes[key];
+        });
+
+    // Later sun changes reach keypads as sensorStateChanged events
+    const sun = themes.auto === 'sun' ? homeAssistantSocket.getStates([themes.sunEntity]) : null;
+
+    return {
+        pinned: Boolean(device && device.theme),
+        auto: themes.auto,
+        nightTheme: themes.nightTheme,
+        nightStart: themes.nightStart,
+        nightEnd: themes.nightEnd,
+        sunEntity: themes.sunEntity,
+        sunState: sun ? sun[0].state : null,
+        states: states
+    };
+}
+
+module.exports = router;
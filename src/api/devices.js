@@ -0,0 +1,125 @@
+const express = require('express');
+const router = express.Router();
+const devicePairing = require('../services/devicePairing');
+const codeLockout = require('../services/codeLockout');
+const configSchema = require('../configSchema');
+const { requireAdmin } = require('../middleware/auth');
+
+// Start pairing a new keypad - returns the code to show on its screen
+router.post('/pair', (req, res) => {
+    const { keypadId, name } = req.body || {};
+    const clientId = codeLockout.getClientId(req.ip);
+
+    // Anyone can ask to pair, so stop one client from filling the approval list
+    if (codeLockout.isPairingRateLimited(clientId)) {
+        res.set('Retry-After', '60');
+        return res.status(429).json({ error: 'Too many pairing requests. Please wait a minute and try again.' });
+    }
+
+    const pairing = devicePairing.requestPairing({
+        keypadId: typeof keypadId === 'string' ? keypadId.slice(0, 64) : null,
+        name: typeof name === 'string' ? name.slice(0, 64) : null,
+        client: clientId
+    });
+
+    if (!pairing) {
+        return res.status(429).json({ error: 'Too many keypads waiting to be paired. Please try again later.' });
+    }
+
+    res.status(201).json(pairing);
+});
+
+// Check a pairing - hands over the device token once it has been approved
+router.get('/pair/:pairingId', (req, res) => {
+    res.json(devicePairing.collectPairing(req.params.pairingId));
+});
+
+// List paired devices and pairings waiting for approval
+router.get('/', requireAdmin, (req, res) => {
+    res.json(devicePairing.listDevices());
+});
+
+// Approve the keypad showing this pairing code
+router.post('/pairings/:code/approve', requireAdmin, (req, res) => {
+    const name = req.body && typeof req.body.name === 'string' ? req.body.name.slice(0, 64) : null;
+    const device = devicePairing.approvePairing(req.params.code, name);
+
+    if (!device) {
+        return res.status(404).json({ error: 'No keypad is waiting with that pairing code' });
+    }
+
+    res.json({ success: true, device });
+});
+
+// Values each keypad's own settings may take; null follows the server's settings
+const DEVICE_SETTINGS = {
+    theme: configSchema.keypad.theme.values,
+    scramble: ['always', 'never']
+};
+
+/**
+ * Change a keypad's own settings
+ * Body: any of { "theme": "night", "scramble": "always" }; null follows the server's settings again
+ */
+router.put('/:deviceId/settings', requireAdmin, (req, res) => {
+    const settings = {};
+    for (const [name, values] of Object.entries(DEVICE_SETTINGS)) {
+        const value = req.body ? req.body[name] : undefined;
+        if (value === undefined) {
+            continue;
+        }
+        if (value !== null && !values.includes(value)) {
+            return res.status(400).json({ error: `${name} must be one of: ${values.join(', ')}` });
+        }
+        settings[name] = value;
+    }
+
+    const device = devicePairing.updateDeviceSettings(req.params.deviceId, settings);
+    if (!device) {
+        return res.status(404).json({ error: 'Device not found' });
+    }
+
+    // The keypad reloads its settings and applies them straight away
+    forEachDeviceSocket(req.app, device.id, socket => socket.emit('configChanged', {
+        changed: Object.keys(settings).map(name => `device.${name}`),
+        timestamp: new Date().toISOString()
+    }));
+
+    res.json({ success: true, device });
+});
+
+// Revoke a device and disconnect it
+router.delete('/:deviceId', requireAdmin, (req, res) => {
+    if (!devicePairing.revokeDevice(req.params.deviceId)) {
+        return res.status(404).json({ error: 'Device not found' });
+    }
+
+    // Drop its open sockets so it stops receiving updates straight away
+    forEachDeviceSocket(req.app, req.params.deviceId, socket => {
+        socket.emit('deviceRevoked');
+        socket.disconnect(true);
+    });
+
+    res.json({ success: true });
+});
+
+/**
+ * Helper function to run something for every open socket of a device
+ * @param {Object} app - The express app holding the socket.io server
+ * @param {string} deviceId - The device ID
+ * @param {Function} callback - Called with each of the device's sockets
+ */
+function forEachDeviceSocket(app, deviceId, callback) {
+    const io = app.locals.io;
+    if (!io) {
+        return;
+    }
+
+    for (const socket of io.sockets.sockets.values()) {
+        if (socket.data.device && socket.data.device.id === deviceId) {
+            callback(socket);
+        }
+    }
+}
+
+module.exports = router;
@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const connectionHealth = require('../services/connectionHealth');
+const { requireDevice } = require('../middleware/auth');
+
+/**
+ * Get whether each of the keypad server's connections is up
+ * Open to anyone, so it only says up or down and since when.
+ * Responds 503 while any connection is down, so it can back a Docker or uptime check
+ */
+router.get('/', (req, res) => {
+    const health = connectionHealth.getPublicHealth();
+    res.status(health.status === 'ok' ? 200 : 503).json(health);
+});
+
+/**
+ * Get the full health report, with each connection's last error
+ * Needs a device or admin token; keypads also get this report over their socket
+ */
+router.get('/details', requireDevice, (req, res) => {
+    const health = connectionHealth.getHealth();
+    res.status(health.status === 'ok' ? 200 : 503).json(health);
+});
+
+module.exports = router;
@@ -0,0 +1,42 @@
+const express = require('express');
+const crypto = require('crypto');
+const router = express.Router();
+const config = require('../config');
+const metrics = require('../services/metrics');
+const { getBearerToken } = require('../middleware/auth');
+
+/**
+ * Get the keypad server's metrics in the Prometheus text format
+ * Needs the metrics token as a Bearer token when one is configured
+ */
+router.get('/', async (req, res) => {
+    if (config.metrics.token && !isMetricsToken(getBearerToken(req))) {
+        return res.status(401).json({ error: 'Metrics token required', event: 'UNAUTHORIZED' });
+    }
+
+    try {
+        res.set('Content-Type', metrics.contentType);
+        res.send(await metrics.getMetrics());
+    } catch (error) {
+        console.error('Error collecting metrics:', error);
+        res.status(500).json({ error: 'Failed to collect metrics' });
+    }
+});
+
+/**
+ * Checks a Bearer token against the metrics token in constant time
+ * @param {string|null} token - The token the scraper sent
+ * @returns {boolean}
+ */
+function isMetricsToken(token) {
+    if (typeof token !== 'string') {
+        return false;
+    }
+
+    // Compare hashes so neither the token's content nor its length leaks through timing
+    const expected = crypto.createHash('sha256').update(String(config.metrics.token)).digest();
+    const actual = crypto.createHash('sha256').update(token).digest();
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = router;
@@ -1,21 +1,23 @@
 const express = require('express');
 const axios = require('axios');
 const config = require('../config');
+const homeAssistantSocket = require('../services/homeAssistantSocket');
+const metrics = require('../services/metrics');
 const router = express.Router();
 
 // Get all binary sensors
 router.get('/', async (req, res) => {
     try {
-        const response = await axios.get(`${config.homeAssistant.apiUrl}/states`, {
+        const response = await metrics.timeHomeAssistantRequest('states', () => axios.get(`${config.homeAssistant.apiUrl}/states`, {
             headers: {
                 'Authorization': `Bearer ${config.homeAssistant.apiKey}`,
                 'Content-Type': 'application/json'
             }
-        });
+        }));
 
-        // Filter only binary sensors
+        // Filter only binary sensors, and only those keypads may read
         const sensors = response.data.filter(entity => 
-            entity.entity_id.startsWith(config.sensors.sensorFilter)
+            entity.entity_id.startsWith(config.sensors.filter) && isAllowedEntity(entity.entity_id)
         );
 
         // Sort sensors by friendly name if available
@@ -35,6 +37,8 @@ router.get('/', async (req, res) => {
 /**
  * Get states for specific entities
  * Accepts array of entity IDs and returns their current states
+ * Answers from the WebSocket state cache when every entity is cached,
+ * otherwise falls back to the REST API
  */
 router.post('/getStates', async (req, res) => {
     try {
@@ -50,18 +54,33 @@ router.post('/getStates', async (req, res) => {
         // Initialize results array
         let entities = [];
         
+        // Refuse entities outside the allowlist rather than proxying anything our token can read
+        const deniedIds = entityIds.filter(entityId => !isAllowedEntity(entityId));
+        if (deniedIds.length > 0) {
+            return res.status(403).json({ 
+                error: 'Requested entities are not in the sensor allowlist',
+                entityIds: deniedIds
+            });
+        }
+        
         // If the array is empty, return empty results
         if (entityIds.length === 0) {
             return res.json({ entities });
         }
         
+        // Serve from the live cache when possible
+        const cachedEntities = homeAssistantSocket.getStates(entityIds);
+        if (cachedEntities) {
+            return res.json({ entities: cachedEntities });
+        }
+        
         // Get all states from Home Assistant
-        const response = await axios.get(`${config.homeAssistant.apiUrl}/states`, {
+        const response = await metrics.timeHomeAssistantRequest('states', () => axios.get(`${config.homeAssistant.apiUrl}/states`, {
             headers: {
                 'Authorization': `Bearer ${config.homeAssistant.apiKey}`,
                 'Content-Type': 'application/json'
             }
-        });
+        }));
         
         // Filter to only the requested entities
         entities = response.data.filter(entity => 
@@ -86,4 +105,14 @@ router.post('/getStates', async (req, res) => {
     }
 });
 
+/**
+ * Helper function to check an entity is one keypads may read
+ * Allowed entities are the configured sensors plus SENSOR_ALLOWLIST
+ * @param {string} entityId - The entity ID
+ * @returns {boolean}
+ */
+function isAllowedEntity(entityId) {
+    return config.sensors.list.includes(entityId) || config.sensors.allowlist.includes(entityId);
+}
+
 module.exports = router;
\ No newline at end of file
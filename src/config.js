@@ -1,27 +1,22 @@
 require('dotenv').config();
+const configLoader = require('./services/configLoader');
 
-const config = {
-    homeAssistant: {
-        apiUrl: process.env.API_URL || 'http://localhost:8123/api',
-        apiKey: process.env.LONG_LIVED_ACCESS_TOKEN || 'your_default_token'
-    },
-    server: {
-        port: 3000
-    },
-    mqtt: {
-        broker: process.env.MQTT_BROKER || 'mqtt://homeassistant.local',
-        username: process.env.MQTT_USER || 'your_mqtt_username',
-        password: process.env.MQTT_PASSWORD || 'your_mqtt_password',
-        clientId: process.env.MQTT_CLIENT_ID || 'alarm_panel_' + Math.random().toString(16).substring(2, 8)
-    },
-    alarm: {
-        entityId: process.env.ALARM_ENTITY_ID || 'alarm_control_panel.alarmo',
-        bypassSensorsTimeout: 10000
-    },
-    sensors: {
-        list: JSON.parse(process.env.SENSOR_LIST ?? '[]'),
-        refreshInterval: 5000
-    }
-};
+/**
+ * Keypad server configuration
+ *
+ * Built from the config file (data/config.yaml, or CONFIG_FILE) with environment
+ * variable overrides. See configSchema.js for every setting and its default.
+ * The object is updated in place when the config file changes, so read settings
+ * when they are needed rather than copying them at startup.
+ */
 
-module.exports = config;
\ No newline at end of file
+let config;
+try {
+    config = configLoader.loadConfig();
+} catch (error) {
+    console.error(`Invalid configuration${error.file ? ` in ${error.file}` : ''}:`);
+    (error.errors || [error.message]).forEach(message => console.error(`  - ${message}`));
+    process.exit(1);
+}
+
+module.exports = config;
@@ -0,0 +1,256 @@
+const path = require('path');
+
+/**
+ * Configuration schema
+ *
+ * Every setting the keypad server reads, grouped by section. Each setting has:
+ * - type: how the value is parsed and validated (see configLoader)
+ * - default: used when neither the config file nor the environment sets it;
+ *   a function receives the rest of the settings for values derived from them
+ * - env: optional environment variable that overrides the config file
+ * - restart: true when a change only applies after restarting the server
+ * - secret: true for credentials, which the settings API never returns or changes
+ * - filesystem: true for paths on the server, which likewise can only be set
+ *   in the environment or the config file
+ */
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+
+const ARM_MODES = ['arm_home', 'arm_away', 'arm_night', 'arm_vacation', 'arm_custom_bypass'];
+
+// Keypad colour themes (body.theme-<name> in styles.css); night is a dim red for dark rooms
+const THEMES = ['dark', 'light', 'high-contrast', 'night'];
+
+// Alarm states the pinpad can be scrambled in
+const SCRAMBLE_STATES = ['disarmed', 'armed_home', 'armed_away', 'armed_night', 'armed_vacation', 'armed_custom_bypass', 'arming', 'pending', 'triggered'];
+
+// Alarm states that can switch keypads to their own theme
+const THEME_STATES = ['armed_home', 'armed_away', 'armed_night', 'armed_vacation', 'armed_custom_bypass', 'arming', 'pending'];
+
+// Keypad events that can be spoken; each keypad language has a default phrase
+// for every event (speech.<event> in src/public/js/locales)
+const SPEECH_EVENTS = ['armed', 'disarmed', 'exitDelay', 'entryDelay', 'triggered', 'openSensors', 'armFailed', 'wrongCode', 'lockout'];
+
+// Keypad events that play a sound, with their default volume
+// The door chime plays when a watched sensor opens while disarmed, and is silent until given a volume
+const SOUND_EVENTS = {
+    keypress: 100,
+    action: 100,
+    armed: 100,
+    disarmed: 100,
+    error: 100,
+    triggered: 100,
+    countdown: 100,
+    chime: 0
+};
+
+/**
+ * Builds the speech settings: shared voice settings, then a toggle, volume
+ * and phrase for every event in SPEECH_EVENTS (e.g. armedEnabled, armedVolume, armedTemplate)
+ */
+function buildSpeechSettings() {
+    const settings = {
+        // Speak announcements with the tablet's text-to-speech voice
+        enabled: { type: 'boolean', default: false },
+        // Speaking speed as a percentage of normal
+        rate: { type: 'integer', min: 50, max: 200, default: 100 },
+        // Voice language (e.g. en-GB); the keypad's language when unset
+        language: { type: 'string', default: null }
+    };
+
+    SPEECH_EVENTS.forEach(event => {
+        settings[`${event}Enabled`] = { type: 'boolean', default: true };
+        settings[`${event}Volume`] = { type: 'integer', min: 0, max: 100, default: 100 };
+        // Phrase used instead of the keypad language's; can use {mode}, {seconds}, {sensors} and {count}
+        settings[`${event}Template`] = { type: 'string', default: null };
+    });
+
+    return settings;
+}
+
+/**
+ * Builds the sound settings: the pack folder and quiet hours, then a pack and
+ * volume for every event in SOUND_EVENTS (e.g. armedPack, armedVolume)
+ */
+function buildSoundSettings() {
+    const settings = {
+        // Folder holding uploaded sound packs, one subfolder per pack
+        packsPath: { type: 'string', env: 'SOUND_PACKS_PATH', default: path.join(DATA_DIR, 'sounds'), restart: true, filesystem: true },
+        // Mute keypress, confirmation and chime sounds between quietStart and quietEnd (tablet time);
+        // the siren and entry delay beeps always play
+        quietHours: { type: 'boolean', default: false },
+        quietStart: { type: 'time', default: '22:00' },
+        quietEnd: { type: 'time', default: '07:00' }
+    };
+
+    Object.entries(SOUND_EVENTS).forEach(([event, volume]) => {
+        // "default" is the keypad's built-in sounds
+        settings[`${event}Pack`] = { type: 'string', default: 'default' };
+        settings[`${event}Volume`] = { type: 'integer', min: 0, max: 100, default: volume };
+    });
+
+    return settings;
+}
+
+/**
+ * Builds the automatic theme settings: the night switch, then an optional
+ * theme for every alarm state in THEME_STATES (e.g. armedNightTheme)
+ */
+function buildThemeSettings() {
+    const settings = {
+        // Switch to nightTheme between nightStart and nightEnd (tablet time),
+        // or while sunEntity reports below_horizon
+        auto: { type: 'enum', values: ['off', 'schedule', 'sun'], default: 'off' },
+        nightTheme: { type: 'enum', values: THEMES, default: 'night' },
+        nightStart: { type: 'time', default: '22:00' },
+        nightEnd: { type: 'time', default: '07:00' },
+        sunEntity: { type: 'entityId', default: 'sun.sun' }
+    };
+
+    // Unset states keep the day or night theme
+    THEME_STATES.forEach(state => {
+        const key = state.replace(/_([a-z])/g, (match, letter) => letter.toUpperCase());
+        settings[`${key}Theme`] = { type: 'enum', values: THEMES, default: null };
+    });
+
+    return settings;
+}
+
+module.exports = {
+    homeAssistant: {
+        apiUrl: { type: 'url', env: 'API_URL', default: 'http://localhost:8123/api', restart: true },
+        apiKey: { type: 'string', env: 'LONG_LIVED_ACCESS_TOKEN', default: 'your_default_token', restart: true, secret: true },
+        // WebSocket API endpoint, derived from the REST API URL unless set explicitly
+        websocketUrl: {
+            type: 'url',
+            env: 'WEBSOCKET_URL',
+            default: settings => settings.homeAssistant.apiUrl.replace(/^http/, 'ws').replace(/\/$/, '') + '/websocket',
+            restart: true
+        },
+        reconnectInterval: { type: 'integer', min: 1000, default: 5000 }
+    },
+    server: {
+        port: { type: 'integer', min: 1, max: 65535, env: 'PORT', default: 3000, restart: true }
+    },
+    mqtt: {
+        broker: { type: 'url', env: 'MQTT_BROKER', default: 'mqtt://homeassistant.local', restart: true },
+        username: { type: 'string', env: 'MQTT_USER', default: 'your_mqtt_username', restart: true },
+        password: { type: 'string', env: 'MQTT_PASSWORD', default: 'your_mqtt_password', restart: true, secret: true },
+        clientId: {
+            type: 'string',
+            env: 'MQTT_CLIENT_ID',
+            default: () => 'alarm_panel_' + Math.random().toString(16).substring(2, 8),
+            restart: true
+        }
+    },
+    alarm: {
+        entityId: { type: 'entityId', env: 'ALARM_ENTITY_ID', default: 'alarm_control_panel.alarmo' },
+        // Arm modes to show on the keypad, in order (e.g. arm_home,arm_night).
+        // When unset, the modes enabled in Alarmo are used.
+        modes: { type: 'list', values: ARM_MODES, env: 'ARM_MODES', default: null },
+        // Code length to use when the alarm entity doesn't report one; unset allows any length up to maxCodeLength
+        codeLength: { type: 'integer', min: 1, max: 32, env: 'CODE_LENGTH', default: null },
+        // Longest code the keypad accepts when the length isn't fixed
+        maxCodeLength: { type: 'integer', min: 1, max: 32, default: 12 },
+        // How long (ms) to wait for Alarmo to answer a command
+        commandTimeout: { type: 'integer', min: 1000, default: 5000 },
+        // Commands that may wait behind the one in flight before new ones are refused
+        maxQueuedCommands: { type: 'integer', min: 0, default: 5 },
+        // How long (ms) the bypass sheet stays open without interaction
+        bypassSensorsTimeout: { type: 'integer', min: 1000, default: 10000 }
+    },
+    security: {
+        // Failed codes from one keypad before it is locked out
+        maxFailedAttempts: { type: 'integer', min: 1, default: 3 },
+        // Failed codes across all keypads before every keypad is locked out
+        globalMaxFailedAttempts: { type: 'integer', min: 1, default: 10 },
+        // Window (ms) in which failed attempts are counted
+        failedAttemptWindow: { type: 'integer', min: 1000, default: 10 * 60 * 1000 },
+        // Lockout lengths (seconds), escalating with each consecutive lockout
+        lockoutDurations: { type: 'integerList', min: 1, default: [30, 60, 300, 900, 3600] },
+        // Commands allowed per keypad per minute, regardless of outcome
+        maxCommandsPerMinute: { type: 'integer', min: 1, default: 10 },
+        // MQTT topic that lockout events are published to for Home Assistant
+        lockoutTopic: { type: 'string', env: 'LOCKOUT_TOPIC', default: 'alarmo_keypad/lockout' },
+        // Duress code - disarms with duressDisarmCode and silently raises an alert
+        duressCode: { type: 'string', env: 'DURESS_CODE', default: null, secret: true },
+        // The real Alarmo code sent when the duress code is entered
+        duressDisarmCode: { type: 'string', env: 'DURESS_DISARM_CODE', default: null, secret: true },
+        // MQTT topic and Home Assistant event fired on duress
+        duressTopic: { type: 'string', env: 'DURESS_TOPIC', default: 'alarmo_keypad/duress' },
+        duressEvent: { type: 'string', env: 'DURESS_EVENT', default: 'alarmo_keypad_duress' }
+    },
+    devices: {
+        // JSON file holding paired keypads (tokens are stored hashed)
+        storePath: { type: 'string', env: 'DEVICE_STORE_PATH', default: path.join(DATA_DIR, 'devices.json'), restart: true, filesystem: true },
+        // Token that approves pairings and manages devices; pairing can't be approved without it
+        adminToken: { type: 'string', env: 'ADMIN_TOKEN', default: null, secret: true },
+        // How long (ms) a pairing code stays valid
+        pairingTimeout: { type: 'integer', min: 10000, default: 10 * 60 * 1000 },
+        // Pairing requests that may wait for approval at once
+        maxPendingPairings: { type: 'integer', min: 1, default: 10 },
+        // Pairing requests allowed per client per minute
+        maxPairingRequestsPerMinute: { type: 'integer', min: 1, default: 3 }
+    },
+    admin: {
+        // PIN that unlocks the /admin settings page; the page is disabled until it is set
+        pin: { type: 'string', env: 'ADMIN_PIN', default: null, secret: true },
+        // How long (ms) an admin page login lasts
+        sessionTimeout: { type: 'integer', min: 60000, default: 60 * 60 * 1000 }
+    },
+    keypad: {
+        // Play keypad and alarm sounds
+        sounds: { type: 'boolean', default: true },
+        // Sound volume, 0-100
+        volume: { type: 'integer', min: 0, max: 100, default: 100 },
+        // Daytime theme; paired keypads can be given their own on the admin page
+        theme: { type: 'enum', values: THEMES, default: 'dark' },
+        // Alarm states in which the pinpad digits are shuffled for every code entry;
+        // paired keypads can be set to always or never shuffle on the admin page
+        scrambleStates: { type: 'list', values: SCRAMBLE_STATES, default: [] },
+        // Bigger keys and arm buttons on keypads that haven't picked for themselves
+        largeTargets: { type: 'boolean', default: false },
+        // Language of keypads that haven't picked their own (bundles in src/public/js/locales)
+        locale: { type: 'enum', values: ['en', 'es'], default: 'en' },
+        // Idle time (ms) before the keypad dims to its clock screen; 0 keeps it awake
+        idleTimeout: { type: 'integer', min: 0, default: 2 * 60 * 1000 }
+    },
+    speech: buildSpeechSettings(),
+    sounds: buildSoundSettings(),
+    themes: buildThemeSettings(),
+    kiosk: {
+        // Use Fully Kiosk Browser's JavaScript interface when the keypad runs in it
+        enabled: { type: 'boolean', default: true },
+        // Screen brightness (0-255), and the dimmer level used during the night hours
+        brightness: { type: 'integer', min: 0, max: 255, default: 200 },
+        nightBrightness: { type: 'integer', min: 0, max: 255, default: 20 },
+        // Night hours in the tablet's local time (HH:MM)
+        nightStart: { type: 'time', default: '22:00' },
+        nightEnd: { type: 'time', default: '07:00' },
+        // How often (ms) tablets report their battery
+        batteryReportInterval: { type: 'integer', min: 10000, default: 5 * 60 * 1000 }
+    },
+    health: {
+        // How often (ms) the Home Assistant REST API is checked
+        checkInterval: { type: 'integer', min: 5000, default: 30000, restart: true }
+    },
+    metrics: {
+        // Bearer token Prometheus must send to scrape /metrics; open when unset
+        token: { type: 'string', env: 'METRICS_TOKEN', default: null, secret: true }
+    },
+    audit: {
+        // JSON-lines file every keypad command is recorded to
+        logPath: { type: 'string', env: 'AUDIT_LOG_PATH', default: path.join(DATA_DIR, 'audit.log'), restart: true, filesystem: true },
+        // Entries older than this many days are pruned at startup
+        retentionDays: { type: 'integer', min: 1, default: 365 }
+    },
+    sensors: {
+        // Sensors shown on the keypad and checked before arming
+        list: { type: 'entityList', env: 'SENSOR_LIST', default: [] },
+        // Extra entities keypads may read besides the sensor list
+        allowlist: { type: 'entityList', env: 'SENSOR_ALLOWLIST', default: [] },
+        // Entity ID prefix for the sensors listed by GET /api/sensors
+        filter: { type: 'string', env: 'SENSOR_FILTER', default: 'binary_sensor.' },
+        refreshInterval: { type: 'integer', min: 1000, default: 5000 }
+    }
+};
@@ -0,0 +1,67 @@
+const devicePairing = require('../services/devicePairing');
+const adminSessions = require('../services/adminSessions');
+
+/**
+ * Express middleware for device and admin authentication
+ * Tokens are sent as "Authorization: Bearer <token>"
+ */
+
+/**
+ * Requires a paired device token (the admin token or an admin session is accepted too)
+ * Sets req.device to the authenticated device
+ */
+function requireDevice(req, res, next) {
+    const token = getBearerToken(req);
+
+    if (isAdmin(token)) {
+        req.device = null;
+        req.isAdmin = true;
+        return next();
+    }
+
+    const device = devicePairing.authenticate(token);
+    if (!device) {
+        return res.status(401).json({ error: 'Device not paired', event: 'UNAUTHORIZED' });
+    }
+
+    req.device = device;
+    next();
+}
+
+/**
+ * Requires the admin token or an admin page session
+ */
+function requireAdmin(req, res, next) {
+    if (!isAdmin(getBearerToken(req))) {
+        return res.status(401).json({ error: 'Admin token required', event: 'UNAUTHORIZED' });
+    }
+
+    req.isAdmin = true;
+    next();
+}
+
+/**
+ * Checks whether a token is the admin token or an admin page session
+ * @param {string} token - The token to check
+ * @returns {boolean}
+ */
+function isAdmin(token) {
+    return devicePairing.isAdminToken(token) || adminSessions.isValid(token);
+}
+
+/**
+ * Helper function to read the bearer token from a request
+ * @param {Object} req - The express request
+ * @returns {string|null} The token, or null if none was sent
+ */
+function getBearerToken(req) {
+    const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+    return match ? match[1].trim() : null;
+}
+
+module.exports = {
+    requireDevice,
+    requireAdmin,
+    isAdmin,
+    getBearerToken
+};
@@ -0,0 +1,904 @@
+/**
+ * Keypad Settings - Admin Page JavaScript
+ *
+ * Unlocks with the admin PIN, then edits the keypad server's settings through
+ * the settings API. Saved settings are written to the config file and pushed
+ * to every connected keypad by the server. Also approves and revokes keypads.
+ */
+
+//==============================================================================
+// INITIALIZATION AND GLOBALS
+//==============================================================================
+
+// Admin session token, kept for this browser tab only
+let sessionToken = sessionStorage.getItem('adminSession');
+
+// Settings as last loaded from the server, keyed by section then setting
+let settings = {};
+
+// Entity lists being edited, keyed by setting name (e.g. sensors.list)
+let entityLists = {};
+
+// Events the keypad can announce, in the order shown on the page
+const SPEECH_EVENT_LABELS = {
+    armed: 'Armed',
+    disarmed: 'Disarmed',
+    exitDelay: 'Exit delay',
+    entryDelay: 'Entry delay',
+    triggered: 'Alarm triggered',
+    openSensors: 'Sensors open when arming',
+    armFailed: 'Arming failed',
+    wrongCode: 'Wrong code',
+    lockout: 'Keypad locked'
+};
+
+// Events that play a sound, in the order shown on the page
+const SOUND_EVENT_LABELS = {
+    keypress: 'Key press',
+    action: 'Arm button',
+    armed: 'Armed',
+    disarmed: 'Disarmed',
+    error: 'Error',
+    triggered: 'Alarm siren',
+    countdown: 'Countdown beeps',
+    chime: 'Door chime'
+};
+
+// Sound packs on the server, as listed by the sounds API
+let soundPacks = [];
+
+// Keypad themes, as offered in the theme menus
+const THEME_LABELS = {
+    dark: 'Dark',
+    light: 'Light',
+    'high-contrast': 'High contrast',
+    night: 'Dim red (night)'
+};
+
+// Alarm states, as labelled on the page
+const ALARM_STATE_LABELS = {
+    disarmed: 'Disarmed',
+    armed_home: 'Armed home',
+    armed_away: 'Armed away',
+    armed_night: 'Armed night',
+    armed_vacation: 'Armed vacation',
+    armed_custom_bypass: 'Armed custom bypass',
+    arming: 'Exit delay',
+    pending: 'Entry delay',
+    triggered: 'Triggered'
+};
+
+// Settings each paired keypad can have of its own, with the choice that follows the server's settings
+const DEVICE_SETTING_OPTIONS = {
+    theme: { emptyLabel: 'Theme settings', options: THEME_LABELS },
+    scramble: { emptyLabel: 'Scramble settings', options: { always: 'Always scramble', never: 'Never scramble' } }
+};
+
+// Alarm states that can have their own theme, keyed by their setting prefix
+const THEME_STATE_LABELS = {
+    armedHome: 'Armed home',
+    armedAway: 'Armed away',
+    armedNight: 'Armed night',
+    armedVacation: 'Armed vacation',
+    armedCustomBypass: 'Armed custom bypass',
+    arming: 'Exit delay',
+    pending: 'Entry delay'
+};
+
+// Settings shown on the page, grouped into sections
+const SETTINGS_FORM = [
+    {
+        title: 'Sensors',
+        icon: 'fas fa-door-open',
+        fields: [
+            { name: 'sensors.list', label: 'Watched sensors', hint: 'Shown on the keypad and checked before arming', input: 'entities' },
+            { name: 'sensors.allowlist', label: 'Other readable entities', hint: 'Entities keypads may read besides the watched sensors', input: 'entities' }
+        ]
+    },
+    {
+        title: 'Arming',
+        icon: 'fas fa-shield-alt',
+        fields: [
+            { name: 'alarm.entityId', label: 'Alarm entity', input: 'entity' },
+            { name: 'alarm.modes', label: 'Arm buttons', hint: 'Leave all unticked to use the modes enabled in Alarmo', input: 'checkboxes' },
+            { name: 'alarm.bypassSensorsTimeout', label: 'Bypass sheet timeout (ms)', input: 'number' }
+        ]
+    },
+    {
+        title: 'PIN',
+        icon: 'fas fa-key',
+        fields: [
+            { name: 'alarm.codeLength', label: 'Code length', hint: 'Used when the alarm entity does not report one; leave empty for any length', input: 'number' },
+            { name: 'alarm.maxCodeLength', label: 'Longest code', input: 'number' },
+            { name: 'security.maxFailedAttempts', label: 'Wrong codes before a keypad locks', input: 'number' },
+            { name: 'security.globalMaxFailedAttempts', label: 'Wrong codes before every keypad locks', input: 'number' },
+            { name: 'security.maxCommandsPerMinute', label: 'Commands per keypad per minute', input: 'number' }
+        ]
+    },
+    {
+        title: 'Keypad',
+        icon: 'fas fa-th',
+        fields: [
+            { name: 'keypad.sounds', label: 'Play sounds', input: 'checkbox' },
+            { name: 'keypad.volume', label: 'Volume', input: 'range' },
+            { name: 'keypad.scrambleStates', label: 'Scramble the pinpad when', hint: 'Shuffles the digits for every code entry so smudges and onlookers don\'t give the code away; keypads can be set to always or never scramble under Keypads', input: 'checkboxes', options: ALARM_STATE_LABELS },
+            { name: 'keypad.largeTargets', label: 'Large keys', hint: 'Bigger keys and arm buttons; keypads opened with ?largeTargets=1 or =0 keep their own choice', input: 'checkbox' },
+            { name: 'keypad.locale', label: 'Language', hint: 'Keypads can also switch language with their globe button', input: 'select', options: { en: 'English', es: 'Español' } }
+        ]
+    },
+    {
+        title: 'Themes',
+        icon: 'fas fa-palette',
+        fields: [
+            { name: 'keypad.theme', label: 'Day theme', hint: 'Keypads given their own theme under Keypads keep it all day', input: 'select', options: THEME_LABELS },
+            { name: 'themes.auto', label: 'Switch to the night theme', input: 'select', options: { off: 'Never', schedule: 'Between the night hours', sun: 'When the sun sets' } },
+            { name: 'themes.nightTheme', label: 'Night theme', input: 'select', options: THEME_LABELS },
+            { name: 'themes.nightStart', label: 'Night starts', input: 'time' },
+            { name: 'themes.nightEnd', label: 'Night ends', input: 'time' },
+            { name: 'themes.sunEntity', label: 'Sun entity', hint: 'Night while it reports below_horizon', input: 'entity' },
+            ...Object.entries(THEME_STATE_LABELS).map(([state, label]) => (
+                { name: `themes.${state}Theme`, label: `${label} theme`, input: 'select', options: THEME_LABELS, emptyLabel: 'Day or night theme' }
+            ))
+        ]
+    },
+    {
+        title: 'Sound Packs',
+        icon: 'fas fa-music',
+        fields: [
+            { name: 'sounds.quietHours', label: 'Quiet hours', hint: 'Mutes key presses, confirmations and the door chime; the siren and entry delay beeps always play', input: 'checkbox' },
+            { name: 'sounds.quietStart', label: 'Quiet hours start', input: 'time' },
+            { name: 'sounds.quietEnd', label: 'Quiet hours end', input: 'time' },
+            ...Object.entries(SOUND_EVENT_LABELS).flatMap(([event, label]) => [
+                { name: `sounds.${event}Pack`, label: `${label} sound`, input: 'soundPack' },
+                { name: `sounds.${event}Volume`, label: `${label} volume`, hint: event === 'chime' ? 'Plays when a watched sensor opens while disarmed; 0 turns it off' : null, input: 'range' }
+            ])
+        ]
+    },
+    {
+        title: 'Voice Announcements',
+        icon: 'fas fa-comment-dots',
+        fields: [
+            { name: 'speech.enabled', label: 'Speak announcements', hint: 'Phrases can use {mode}, {seconds}, {sensors} and {count}; leave a phrase empty to use the keypad language\'s own', input: 'checkbox' },
+            { name: 'speech.rate', label: 'Speaking speed (%)', input: 'number' },
+            { name: 'speech.language', label: 'Voice language', hint: 'e.g. en-GB; leave empty to match the keypad\'s language', input: 'text' },
+            ...Object.entries(SPEECH_EVENT_LABELS).flatMap(([event, label]) => [
+                { name: `speech.${event}Enabled`, label: `Announce: ${label}`, input: 'checkbox' },
+                { name: `speech.${event}Template`, label: `${label} phrase`, input: 'text' },
+                { name: `speech.${event}Volume`, label: `${label} volume`, input: 'range' }
+            ])
+        ]
+    },
+    {
+        title: 'Fully Kiosk',
+        icon: 'fas fa-tablet-alt',
+        fields: [
+            { name: 'kiosk.enabled', label: 'Control tablets running Fully Kiosk Browser', input: 'checkbox' },
+            { name: 'kiosk.brightness', label: 'Screen brightness', input: 'range' },
+            { name: 'kiosk.nightBrightness', label: 'Night brightness', input: 'range' },
+            { name: 'kiosk.nightStart', label: 'Night starts', input: 'time' },
+            { name: 'kiosk.nightEnd', label: 'Night ends', input: 'time' }
+        ]
+    },
+    {
+        title: 'Timeouts',
+        icon: 'fas fa-stopwatch',
+        fields: [
+            { name: 'alarm.commandTimeout', label: 'Alarm response timeout (ms)', input: 'number' },
+            { name: 'keypad.idleTimeout', label: 'Screensaver after (ms)', hint: '0 keeps the keypad awake', input: 'number' },
+            { name: 'security.failedAttemptWindow', label: 'Wrong code counting window (ms)', input: 'number' },
+            { name: 'admin.sessionTimeout', label: 'Admin login lasts (ms)', input: 'number' }
+        ]
+    }
+];
+
+//==============================================================================
+// API AND LOGIN
+//==============================================================================
+
+/**
+ * Calls the keypad API with the admin session token
+ * A 401 means the session has ended, so the login panel is shown again
+ *
+ * @param {string} url - The API URL
+ * @param {Object} [options] - fetch options
+ * @returns {Promise<Object>} The parsed JSON response, with the HTTP status as status
+ */
+function adminFetch(url, options = {}) {
+    const headers = { 'Content-Type': 'application/json', ...(options.headers || {}) };
+    if (sessionToken) {
+        headers['Authorization'] = `Bearer ${sessionToken}`;
+    }
+
+    return fetch(url, { ...options, headers })
+        .then(response => response.json().catch(() => ({})).then(data => {
+            if (response.status === 401 && url !== '/api/admin/login') {
+                showLogin('Your session has ended. Please enter the admin PIN again.');
+            }
+            return { ...data, status: response.status, ok: response.ok };
+        }));
+}
+
+/**
+ * Logs in with the admin PIN
+ *
+ * @param {Event} event - The login form submit event
+ */
+function handleLogin(event) {
+    event.preventDefault();
+    const pinInput = document.getElementById('admin-pin');
+
+    adminFetch('/api/admin/login', {
+        method: 'POST',
+        body: JSON.stringify({ pin: pinInput.value })
+    })
+    .then(result => {
+        pinInput.value = '';
+
+        if (!result.ok) {
+            showMessage('login-message', result.message || 'Login failed', 'error');
+            return;
+        }
+
+        sessionToken = result.token;
+        sessionStorage.setItem('adminSession', sessionToken);
+        showSettings();
+    })
+    .catch(error => {
+        console.error('Error logging in:', error);
+        showMessage('login-message', 'Could not reach the keypad server', 'error');
+    });
+}
+
+/**
+ * Ends the admin session
+ */
+function handleLogout() {
+    adminFetch('/api/admin/logout', { method: 'POST' }).finally(() => showLogin());
+}
+
+/**
+ * Shows the login panel and forgets the session
+ *
+ * @param {string} [message] - Why the login panel is shown
+ */
+function showLogin(message) {
+    sessionToken = null;
+    sessionStorage.removeItem('adminSession');
+
+    document.getElementById('login-panel').style.display = '';
+    document.getElementById('settings-form').style.display = 'none';
+    document.getElementById('devices-panel').style.display = 'none';
+    document.getElementById('sounds-panel').style.display = 'none';
+    document.getElementById('logout-button').style.display = 'none';
+
+    if (message) {
+        showMessage('login-message', message, 'warning');
+    }
+
+    // Say so straight away if no admin PIN has been set up
+    adminFetch('/api/admin/status').then(status => {
+        if (status.enabled === false) {
+            showMessage('login-message', 'Set ADMIN_PIN on the keypad server to enable this page.', 'warning');
+        }
+    });
+}
+
+/**
+ * Loads everything the signed-in admin sees
+ */
+function showSettings() {
+    document.getElementById('login-panel').style.display = 'none';
+    document.getElementById('settings-form').style.display = '';
+    document.getElementById('devices-panel').style.display = '';
+    document.getElementById('sounds-panel').style.display = '';
+    document.getElementById('logout-button').style.display = '';
+
+    loadSettings();
+    loadEntityOptions();
+    loadDevices();
+}
+
+//==============================================================================
+// SETTINGS
+//==============================================================================
+
+/**
+ * Fetches the current settings and the sound packs, then builds the form
+ */
+function loadSettings() {
+    Promise.all([adminFetch('/api/config/settings'), adminFetch('/api/config/sounds')]).then(([result, sounds]) => {
+        if (!result.ok) {
+            return;
+        }
+        settings = result.settings;
+        soundPacks = sounds.packs || [];
+        renderSettings();
+        renderSoundPacks();
+    });
+}
+
+/**
+ * Fetches Home Assistant entities for the autocomplete list
+ */
+function loadEntityOptions() {
+    adminFetch('/api/config/entities').then(result => {
+        const datalist = document.getElementById('entity-options');
+        datalist.innerHTML = '';
+
+        (result.entities || []).forEach(entity => {
+            const option = document.createElement('option');
+            option.value = entity.entityId;
+            option.label = entity.name;
+            datalist.appendChild(option);
+        });
+    });
+}
+
+/**
+ * Looks up a setting by name
+ *
+ * @param {string} name - The setting name, e.g. sensors.list
+ * @returns {Object|null} The setting with its value, type and limits
+ */
+function getSetting(name) {
+    const [section, key] = name.split('.');
+    return settings[section] && settings[section][key] ? settings[section][key] : null;
+}
+
+/**
+ * Builds the settings form from SETTINGS_FORM and the loaded settings
+ */
+function renderSettings() {
+    const container = document.getElementById('settings-sections');
+    container.innerHTML = '';
+    entityLists = {};
+
+    SETTINGS_FORM.forEach(section => {
+        const sectionElement = document.createElement('section');
+        sectionElement.className = 'admin-panel';
+        sectionElement.innerHTML = `<h2><i class="${section.icon}"></i> ${section.title}</h2>`;
+
+        section.fields.forEach(field => {
+            const setting = getSetting(field.name);
+            if (setting) {
+                sectionElement.appendChild(renderField(field, setting));
+            }
+        });
+
+        container.appendChild(sectionElement);
+    });
+}
+
+/**
+ * Builds the input for one setting
+ *
+ * @param {Object} field - The field from SETTINGS_FORM
+ * @param {Object} setting - The setting from the settings API
+ * @returns {HTMLElement} The field row
+ */
+function renderField(field, setting) {
+    const row = document.createElement('div');
+    row.className = 'admin-field';
+    row.dataset.name = field.name;
+
+    const label = document.createElement('label');
+    label.textContent = field.label;
+    row.appendChild(label);
+
+    let input;
+    switch (field.input) {
+        case 'entities':
+            entityLists[field.name] = [...(setting.value || [])];
+            input = renderEntityList(field.name);
+            break;
+        case 'checkboxes':
+            input = document.createElement('div');
+            input.className = 'admin-checkboxes';
+            setting.values.forEach(value => {
+                const option = document.createElement('label');
+                const text = (field.options && field.options[value]) || value.replace('arm_', '').replace('_', ' ');
+                option.innerHTML = `<input type="checkbox" value="${value}"> ${text}`;
+                option.querySelector('input').checked = (setting.value || []).includes(value);
+                input.appendChild(option);
+            });
+            break;
+        case 'checkbox':
+            input = document.createElement('input');
+            input.type = 'checkbox';
+            input.checked = Boolean(setting.value);
+            break;
+        case 'select':
+            input = document.createElement('select');
+            // Optional settings get an empty choice that clears them
+            if (field.emptyLabel) {
+                const option = document.createElement('option');
+                option.value = '';
+                option.textContent = field.emptyLabel;
+                input.appendChild(option);
+            }
+            setting.values.forEach(value => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = (field.options && field.options[value]) || value.charAt(0).toUpperCase() + value.slice(1);
+                input.appendChild(option);
+            });
+            input.value = setting.value || '';
+            break;
+        case 'soundPack': {
+            input = document.createElement('select');
+            const names = soundPacks.map(pack => pack.name);
+            // Keep a pack that has since been deleted selectable so saving doesn't change it silently
+            if (setting.value && !names.includes(setting.value)) {
+                names.push(setting.value);
+            }
+            names.forEach(name => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = name === 'default' ? 'Built-in' : name;
+                input.appendChild(option);
+            });
+            input.value = setting.value;
+            break;
+        }
+        case 'range':
+            input = document.createElement('input');
+            input.type = 'range';
+            input.min = setting.min;
+            input.max = setting.max;
+            input.value = setting.value;
+            break;
+        case 'time':
+            input = document.createElement('input');
+            input.type = 'time';
+            input.value = setting.value || '';
+            break;
+        case 'text':
+            input = document.createElement('input');
+            input.type = 'text';
+            input.value = setting.value || '';
+            break;
+        case 'number':
+            input = document.createElement('input');
+            input.type = 'number';
+            if (setting.min !== undefined) input.min = setting.min;
+            if (setting.max !== undefined) input.max = setting.max;
+            input.value = setting.value === null ? '' : setting.value;
+            break;
+        default:
+            input = document.createElement('input');
+            input.type = 'text';
+            input.setAttribute('list', 'entity-options');
+            input.value = setting.value || '';
+    }
+    input.classList.add('admin-input');
+    row.appendChild(input);
+
+    // Settings from environment variables can't be changed here
+    if (setting.overridden) {
+        row.classList.add('overridden');
+        row.querySelectorAll('input, select, button').forEach(element => {
+            element.disabled = true;
+        });
+    }
+
+    const hintText = setting.overridden ? `Set by ${setting.env} on the server` : field.hint;
+    if (hintText) {
+        const hint = document.createElement('div');
+        hint.className = 'admin-hint';
+        hint.textContent = hintText;
+        row.appendChild(hint);
+    }
+
+    return row;
+}
+
+/**
+ * Builds the editor for a list of entities, with autocomplete from Home Assistant
+ *
+ * @param {string} name - The setting name
+ * @returns {HTMLElement} The editor
+ */
+function renderEntityList(name) {
+    const editor = document.createElement('div');
+    editor.className = 'entity-list';
+
+    const chips = document.createElement('div');
+    chips.className = 'entity-chips';
+    editor.appendChild(chips);
+
+    const renderChips = () => {
+        chips.innerHTML = '';
+        entityLists[name].forEach(entityId => {
+            const chip = document.createElement('span');
+            chip.className = 'entity-chip';
+            chip.textContent = entityId;
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.innerHTML = '<i class="fas fa-times"></i>';
+            remove.addEventListener('click', () => {
+                entityLists[name] = entityLists[name].filter(id => id !== entityId);
+                renderChips();
+            });
+
+            chip.appendChild(remove);
+            chips.appendChild(chip);
+        });
+    };
+
+    const addRow = document.createElement('div');
+    addRow.className = 'entity-add';
+    addRow.innerHTML = `
+        <input type="text" list="entity-options" placeholder="binary_sensor.front_door">
+        <button type="button" class="admin-btn admin-btn-secondary"><i class="fas fa-plus"></i> Add</button>
+    `;
+    const input = addRow.querySelector('input');
+    const add = () => {
+        const entityId = input.value.trim();
+        if (entityId && !entityLists[name].includes(entityId)) {
+            entityLists[name].push(entityId);
+            renderChips();
+        }
+        input.value = '';
+    };
+    addRow.querySelector('button').addEventListener('click', add);
+    input.addEventListener('keydown', event => {
+        if (event.key === 'Enter') {
+            event.preventDefault();
+            add();
+        }
+    });
+    editor.appendChild(addRow);
+
+    renderChips();
+    return editor;
+}
+
+/**
+ * Reads the form back into settings grouped by section
+ * Settings set by environment variables are left out
+ *
+ * @returns {Object} e.g. { sensors: { list: [...] }, keypad: { volume: 80 } }
+ */
+function collectSettings() {
+    const updates = {};
+
+    SETTINGS_FORM.forEach(section => section.fields.forEach(field => {
+        const setting = getSetting(field.name);
+        const row = document.querySelector(`.admin-field[data-name="${field.name}"]`);
+        if (!setting || !row || setting.overridden) {
+            return;
+        }
+
+        let value;
+        switch (field.input) {
+            case 'entities':
+                value = entityLists[field.name];
+                break;
+            case 'checkboxes': {
+                const checked = Array.from(row.querySelectorAll('input:checked')).map(input => input.value);
+                value = checked.length > 0 ? checked : null;
+                break;
+            }
+            case 'checkbox':
+                value = row.querySelector('input').checked;
+                break;
+            case 'select': {
+                const selected = row.querySelector('select').value;
+                value = selected === '' ? null : selected;
+                break;
+            }
+            case 'text': {
+                // An empty field goes back to the default
+                const text = row.querySelector('input').value.trim();
+                value = text === '' ? null : text;
+                break;
+            }
+            case 'number':
+            case 'range': {
+                const text = row.querySelector('input').value.trim();
+                value = text === '' ? null : Number(text);
+                break;
+            }
+            default:
+                value = row.querySelector('.admin-input').value.trim();
+        }
+
+        const [sectionName, key] = field.name.split('.');
+        updates[sectionName] = updates[sectionName] || {};
+        updates[sectionName][key] = value;
+    }));
+
+    return updates;
+}
+
+/**
+ * Saves the settings and reports what the server did with them
+ *
+ * @param {Event} event - The settings form submit event
+ */
+function handleSave(event) {
+    event.preventDefault();
+
+    adminFetch('/api/config/settings', {
+        method: 'PUT',
+        body: JSON.stringify(collectSettings())
+    })
+    .then(result => {
+        if (!result.ok) {
+            showMessage('settings-message', [result.message || 'Failed to save settings', ...(result.errors || [])], 'error');
+            return;
+        }
+
+        settings = result.settings;
+        renderSettings();
+
+        const lines = [result.changed.length > 0
+            ? `Saved. ${result.changed.length} setting${result.changed.length > 1 ? 's' : ''} pushed to keypads.`
+            : 'Saved. Nothing changed.'];
+        if (result.needsRestart.length > 0) {
+            lines.push(`Restart the server to apply: ${result.needsRestart.join(', ')}`);
+        }
+        showMessage('settings-message', lines, result.needsRestart.length > 0 ? 'warning' : 'success');
+    })
+    .catch(error => {
+        console.error('Error saving settings:', error);
+        showMessage('settings-message', 'Could not reach the keypad server', 'error');
+    });
+}
+
+//==============================================================================
+// SOUND PACKS
+//==============================================================================
+
+/**
+ * Lists the uploaded packs with their sounds, and fills the upload form's choices
+ */
+function renderSoundPacks() {
+    const eventSelect = document.getElementById('sound-event');
+    if (eventSelect.options.length === 0) {
+        Object.entries(SOUND_EVENT_LABELS).forEach(([event, label]) => {
+            const option = document.createElement('option');
+            option.value = event;
+            option.textContent = label;
+            eventSelect.appendChild(option);
+        });
+    }
+
+    const datalist = document.getElementById('sound-pack-options');
+    const container = document.getElementById('sound-pack-list');
+    datalist.innerHTML = '';
+    container.innerHTML = '';
+
+    soundPacks.filter(pack => !pack.builtIn).forEach(pack => {
+        const option = document.createElement('option');
+        option.value = pack.name;
+        datalist.appendChild(option);
+
+        Object.entries(pack.sounds).forEach(([event, url]) => {
+            const row = document.createElement('div');
+            row.className = 'device-row';
+            row.innerHTML = `
+                <span class="device-name-label"></span>
+                <button type="button" class="admin-btn admin-btn-secondary"><i class="fas fa-play"></i></button>
+                <button type="button" class="admin-btn admin-btn-danger"><i class="fas fa-trash"></i> Delete</button>
+            `;
+            row.querySelector('.device-name-label').textContent = `${pack.name} - ${SOUND_EVENT_LABELS[event] || event}`;
+            row.querySelector('.admin-btn-secondary').addEventListener('click', () => new Audio(url).play());
+            row.querySelector('.admin-btn-danger').addEventListener('click', () => {
+                if (confirm(`Delete the ${SOUND_EVENT_LABELS[event] || event} sound from ${pack.name}?`)) {
+                    adminFetch(`/api/config/sounds/${pack.name}/${event}`, { method: 'DELETE' }).then(loadSettings);
+                }
+            });
+            container.appendChild(row);
+        });
+    });
+
+    if (container.children.length === 0) {
+        container.innerHTML = '<div class="admin-hint">No sound packs uploaded yet. Keypads use their built-in sounds.</div>';
+    }
+}
+
+/**
+ * Uploads the chosen audio file to a pack
+ *
+ * @param {Event} event - The upload form submit event
+ */
+function handleSoundUpload(event) {
+    event.preventDefault();
+    const pack = document.getElementById('sound-pack-name').value.trim().toLowerCase();
+    const soundEvent = document.getElementById('sound-event').value;
+    const file = document.getElementById('sound-file').files[0];
+
+    if (!pack || !file) {
+        showMessage('sounds-message', 'Enter a pack name and choose an audio file', 'error');
+        return;
+    }
+
+    adminFetch(`/api/config/sounds/${encodeURIComponent(pack)}/${soundEvent}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': file.type || 'application/octet-stream' },
+        body: file
+    })
+    .then(result => {
+        if (!result.ok) {
+            showMessage('sounds-message', result.message || 'Failed to upload sound', 'error');
+            return;
+        }
+        document.getElementById('sound-file').value = '';
+        showMessage('sounds-message', `Uploaded to ${pack}. Choose it under Sound Packs and save to use it.`, 'success');
+        loadSettings();
+    })
+    .catch(error => {
+        console.error('Error uploading sound:', error);
+        showMessage('sounds-message', 'Could not reach the keypad server', 'error');
+    });
+}
+
+//==============================================================================
+// KEYPADS
+//==============================================================================
+
+/**
+ * Fetches paired keypads and pairing requests
+ */
+function loadDevices() {
+    adminFetch('/api/devices').then(result => {
+        if (!result.ok) {
+            return;
+        }
+        renderDevices(result.devices, result.pendingPairings);
+    });
+}
+
+/**
+ * Shows pairing requests with an approve button and paired keypads with a revoke button
+ *
+ * @param {Array<Object>} devices - Paired keypads
+ * @param {Array<Object>} pendingPairings - Keypads waiting for approval
+ */
+function renderDevices(devices, pendingPairings) {
+    const pendingContainer = document.getElementById('pending-pairings');
+    const devicesContainer = document.getElementById('paired-devices');
+    pendingContainer.innerHTML = '';
+    devicesContainer.innerHTML = '';
+
+    pendingPairings.forEach(pairing => {
+        const row = document.createElement('div');
+        row.className = 'device-row pending';
+        row.innerHTML = `
+            <span class="device-code"></span>
+            <input type="text" class="device-name" placeholder="Keypad name">
+            <button type="button" class="admin-btn"><i class="fas fa-check"></i> Approve</button>
+        `;
+        row.querySelector('.device-code').textContent = pairing.code;
+        row.querySelector('.device-name').value = pairing.name;
+        row.querySelector('button').addEventListener('click', () => {
+            adminFetch(`/api/devices/pairings/${pairing.code}/approve`, {
+                method: 'POST',
+                body: JSON.stringify({ name: row.querySelector('.device-name').value.trim() || null })
+            }).then(loadDevices);
+        });
+        pendingContainer.appendChild(row);
+    });
+
+    devices.forEach(device => {
+        const row = document.createElement('div');
+        row.className = 'device-row';
+        row.innerHTML = `
+            <span class="device-name-label"></span>
+            <span class="device-seen"></span>
+            <select class="device-setting" data-setting="theme" title="Theme"></select>
+            <select class="device-setting" data-setting="scramble" title="Scrambled pinpad"></select>
+            <button type="button" class="admin-btn admin-btn-danger"><i class="fas fa-ban"></i> Revoke</button>
+        `;
+        row.querySelector('.device-name-label').textContent = device.name;
+        row.querySelectorAll('.device-setting').forEach(select => renderDeviceSetting(select, device));
+        row.querySelector('.device-seen').textContent = (device.lastSeen
+            ? `Last seen ${new Date(device.lastSeen).toLocaleString()}`
+            : 'Not seen since pairing') + describeBattery(device.status);
+        row.querySelector('button').addEventListener('click', () => {
+            if (confirm(`Revoke ${device.name}? It will need pairing again.`)) {
+                adminFetch(`/api/devices/${device.id}`, { method: 'DELETE' }).then(loadDevices);
+            }
+        });
+        devicesContainer.appendChild(row);
+    });
+
+    if (devices.length === 0 && pendingPairings.length === 0) {
+        devicesContainer.innerHTML = '<div class="admin-hint">No keypads paired yet. Open the keypad on a tablet to get a pairing code.</div>';
+    }
+}
+
+/**
+ * Fills one of a device row's setting menus and saves a new choice straight away
+ * The keypad applies it as soon as it is saved
+ *
+ * @param {HTMLSelectElement} select - The menu, with the setting name in data-setting
+ * @param {Object} device - The paired keypad
+ */
+function renderDeviceSetting(select, device) {
+    const name = select.dataset.setting;
+    const { emptyLabel, options } = DEVICE_SETTING_OPTIONS[name];
+
+    select.innerHTML = '';
+    Object.entries({ '': emptyLabel, ...options }).forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+    });
+    select.value = device[name] || '';
+
+    select.addEventListener('change', () => {
+        adminFetch(`/api/devices/${device.id}/settings`, {
+            method: 'PUT',
+            body: JSON.stringify({ [name]: select.value || null })
+        }).then(result => {
+            if (!result.ok) {
+                showMessage('devices-message', result.error || `Failed to change the ${name} setting`, 'error');
+            }
+            loadDevices();
+        });
+    });
+}
+
+/**
+ * Describes a keypad's last battery report for its device row
+ *
+ * @param {Object|null} status - { batteryLevel, charging, reportedAt } from the keypad
+ * @returns {string} e.g. ' - Battery 84%, charging', or '' if it never reported
+ */
+function describeBattery(status) {
+    if (!status || status.batteryLevel === null) {
+        return '';
+    }
+    return ` - Battery ${status.batteryLevel}%${status.charging ? ', charging' : ''}`;
+}
+
+//==============================================================================
+// FEEDBACK
+//==============================================================================
+
+/**
+ * Shows a message under a form
+ *
+ * @param {string} elementId - The message element
+ * @param {string|Array<string>} lines - The message, or one line per item
+ * @param {string} type - 'success', 'warning' or 'error'
+ */
+function showMessage(elementId, lines, type) {
+    const element = document.getElementById(elementId);
+    element.className = `admin-message ${type}`;
+    element.innerHTML = '';
+
+    (Array.isArray(lines) ? lines : [lines]).forEach(line => {
+        const lineElement = document.createElement('div');
+        lineElement.textContent = line;
+        element.appendChild(lineElement);
+    });
+}
+
+//==============================================================================
+// INITIALIZATION AND EVENT LISTENERS
+//==============================================================================
+
+document.addEventListener('DOMContentLoaded', () => {
+    document.getElementById('login-form').addEventListener('submit', handleLogin);
+    document.getElementById('settings-form').addEventListener('submit', handleSave);
+    document.getElementById('logout-button').addEventListener('click', handleLogout);
+    document.getElementById('sound-upload-form').addEventListener('submit', handleSoundUpload);
+
+    if (sessionToken) {
+        showSettings();
+    } else {
+        showLogin();
+    }
+
+    // Keep the pairing list fresh while the page is open
+    setInterval(() => {
+        if (sessionToken) {
+            loadDevices();
+        }
+    }, 10000);
+});
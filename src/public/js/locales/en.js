@@ -0,0 +1,186 @@
+/**
+ * English keypad strings
+ *
+ * Keys are shared with the server's messageKey values (src/services/messages.js).
+ * {name} placeholders are filled from the message params; entries with
+ * one/other forms are picked by the params' count.
+ */
+window.KEYPAD_LOCALES = window.KEYPAD_LOCALES || {};
+window.KEYPAD_LOCALES.en = {
+    'language.name': 'English',
+
+    // Main status text and detail line for each alarm state
+    'state.disarmed': 'Disarmed',
+    'state.armed_home': 'Armed Home',
+    'state.armed_away': 'Armed Away',
+    'state.armed_night': 'Armed Night',
+    'state.armed_vacation': 'Armed Vacation',
+    'state.armed_custom_bypass': 'Armed Custom Bypass',
+    'state.pending': 'Entry Delay',
+    'state.arming': 'Arming',
+    'state.triggered': 'ALARM!',
+    'state.unknown': 'Unknown',
+    'detail.disarmed': 'System Ready',
+    'detail.armed_home': 'Home Perimeter Protected',
+    'detail.armed_away': 'Full Protection Active',
+    'detail.armed_night': 'Night Protection Active',
+    'detail.armed_vacation': 'Vacation Protection Active',
+    'detail.armed_custom_bypass': 'Custom Protection Active',
+    'detail.pending': 'Enter Code to Disarm',
+    'detail.arming': 'Exit Now',
+    'detail.triggered': 'Security Alert!',
+    'detail.unknown': 'System Status Unknown',
+    'detail.processingDisarm': 'Processing Disarm Request...',
+    'detail.processingArm': 'Processing {mode} Request...',
+    'detail.enterCodeToArm': 'Enter Code to Arm {mode}',
+    'detail.waitingForKeypad': 'Waiting for another keypad...',
+    'detail.waitingForCommands': 'Waiting for {count} other commands...',
+
+    // Short state labels for the area selector
+    'areaState.disarmed': 'Disarmed',
+    'areaState.armed_home': 'Home',
+    'areaState.armed_away': 'Away',
+    'areaState.armed_night': 'Night',
+    'areaState.armed_vacation': 'Vacation',
+    'areaState.armed_custom_bypass': 'Custom',
+    'areaState.arming': 'Arming',
+    'areaState.pending': 'Pending',
+    'areaState.triggered': 'ALARM',
+    'area.all': 'All Areas',
+
+    // Arm buttons, and the short mode names used inside other messages
+    'mode.arm_home': 'Arm Home',
+    'mode.arm_away': 'Arm Away',
+    'mode.arm_night': 'Arm Night',
+    'mode.arm_vacation': 'Arm Vacation',
+    'mode.arm_custom_bypass': 'Custom Bypass',
+    'modeShort.arm_home': 'Home',
+    'modeShort.arm_away': 'Away',
+    'modeShort.arm_night': 'Night',
+    'modeShort.arm_vacation': 'Vacation',
+    'modeShort.arm_custom_bypass': 'Custom Bypass',
+
+    // Notifications
+    'notify.disarmed': 'System successfully disarmed',
+    'notify.armed': 'System successfully armed in {mode} mode',
+    'notify.armedBypassed': {
+        one: 'System successfully armed in {mode} mode ({count} sensor bypassed)',
+        other: 'System successfully armed in {mode} mode ({count} sensors bypassed)'
+    },
+
+    // Errors - the server sends the error.* keys with its responses
+    'error.codeRequired': 'Security code is required',
+    'error.invalidArea': 'Invalid area',
+    'error.invalidMode': 'Invalid alarm command',
+    'error.invalidSensors': 'Only watched sensors can be bypassed',
+    'error.lockedOut': {
+        one: 'Too many failed attempts. Keypad locked for {seconds} second.',
+        other: 'Too many failed attempts. Keypad locked for {seconds} seconds.'
+    },
+    'error.rateLimited': 'Too many commands. Please wait a minute and try again.',
+    'error.busy': 'The alarm system is busy with other keypads. Please try again.',
+    'error.publishFailed': 'Failed to send command to alarm system',
+    'error.timeout': 'The alarm system did not respond. Please try again.',
+    'error.timeoutWithState': 'The alarm system did not respond. It is currently {state}.',
+    'error.failedToArm': 'Failed to arm system. Check that all sensors are closed.',
+    'error.failedToArmSensors': {
+        one: 'Failed to arm system. Open sensor: {sensors}.',
+        other: 'Failed to arm system. Open sensors: {sensors}.'
+    },
+    'error.commandNotAllowed': 'This operation is not allowed right now.',
+    'error.invalidCode': 'The security code you entered is incorrect.',
+    'error.noCode': 'Security code is required.',
+    'error.commandFailed': 'There was a problem updating the alarm system.',
+    'error.disarmFailed': 'Failed to disarm system',
+    'error.updateFailed': 'Failed to update alarm system',
+    'error.communicationFailed': 'Failed to communicate with alarm system',
+    'error.sensorConfig': 'Failed to load sensor configuration',
+
+    // Exit/entry delay countdown
+    'countdown.exit': 'Exit Delay',
+    'countdown.entry': 'Entry Delay',
+
+    // Triggered alarm view
+    'triggered.title': 'ALARM',
+    'triggered.hint': 'Enter your code to disarm',
+    'triggered.unknownSensor': 'Tripped sensor unknown',
+
+    // Wrong-code lockout
+    'lockout.locked': 'Locked',
+    'lockout.text': {
+        one: 'Too many wrong codes. Locked for {seconds} second',
+        other: 'Too many wrong codes. Locked for {seconds} seconds'
+    },
+
+    // Open sensor bypass sheet
+    'bypass.titleOpen': '{mode}: Sensors Open',
+    'bypass.titleFailed': '{mode}: Arming Failed',
+    'bypass.hintOpen': 'Arming anyway forces Alarmo past every open sensor, including any not listed here.',
+    'bypass.hintFailed': 'Alarmo would not arm with these sensors open. Retry to force it past every open sensor.',
+    'bypass.arm': 'Arm {mode} Anyway',
+    'bypass.retry': 'Retry {mode}',
+    'bypass.cancel': 'Cancel',
+    'bypass.openWhenArmed': 'Open when armed: {sensors}',
+
+    // Sensors in the status bar
+    'sensors.open': {
+        one: '{count} Open',
+        other: '{count} Open'
+    },
+    'sensors.error': 'Sensor Error',
+
+    // Connection health banner
+    'health.serverUnreachable': 'Keypad server unreachable, state may be stale',
+    'health.alarmUnreachable': 'Alarm system unreachable, state may be stale',
+    'health.homeAssistantUnreachable': 'Home Assistant unreachable, sensor states may be stale',
+    'health.lastUpdate': 'Last update from the alarm {age}',
+    'health.noUpdate': 'No update received from the alarm yet',
+    'health.justNow': 'just now',
+
+    // Device pairing screen
+    'pairing.title': 'Pair This Keypad',
+    'pairing.hint': 'Approve this code as an admin to start using the keypad.',
+    'pairing.requesting': 'Requesting pairing code...',
+    'pairing.waiting': 'Waiting for approval...',
+    'pairing.failed': 'Failed to start pairing',
+
+    // Screen reader labels and announcements
+    'a11y.pinpad': 'Keypad',
+    'a11y.armButtons': 'Arm modes',
+    'a11y.clear': 'Clear code',
+    'a11y.enter': 'Enter code',
+    'a11y.shift': 'Shift',
+    'a11y.language': 'Change language',
+    'a11y.codeEntered': {
+        one: '{count} character entered',
+        other: '{count} characters entered'
+    },
+    'a11y.state': 'Alarm {state}. {detail}',
+
+    // Spoken announcements - the speech.*Template settings override these
+    // {sensors} is a list of names; phrases with one/other forms follow {count}
+    'speech.armed': 'Armed {mode}',
+    'speech.disarmed': 'Disarmed',
+    'speech.exitDelay': {
+        one: 'Exit delay, {seconds} second',
+        other: 'Exit delay, {seconds} seconds'
+    },
+    'speech.entryDelay': {
+        one: 'Entry delay, {seconds} second',
+        other: 'Entry delay, {seconds} seconds'
+    },
+    'speech.triggered': 'Alarm! {sensors}',
+    'speech.openSensors': {
+        one: '{sensors} is open, press arm anyway to bypass it',
+        other: '{sensors} are open, press arm anyway to bypass them'
+    },
+    'speech.armFailed': {
+        one: 'Could not arm, {sensors} is open',
+        other: 'Could not arm, {sensors} are open'
+    },
+    'speech.wrongCode': 'Wrong code',
+    'speech.lockout': {
+        one: 'Keypad locked for {seconds} second',
+        other: 'Keypad locked for {seconds} seconds'
+    }
+};
@@ -0,0 +1,183 @@
+/**
+ * Spanish keypad strings
+ *
+ * Keys match locales/en.js, which is used for anything missing here.
+ */
+window.KEYPAD_LOCALES = window.KEYPAD_LOCALES || {};
+window.KEYPAD_LOCALES.es = {
+    'language.name': 'Español',
+
+    // Main status text and detail line for each alarm state
+    'state.disarmed': 'Desarmado',
+    'state.armed_home': 'Armado en casa',
+    'state.armed_away': 'Armado ausente',
+    'state.armed_night': 'Armado noche',
+    'state.armed_vacation': 'Armado vacaciones',
+    'state.armed_custom_bypass': 'Armado personalizado',
+    'state.pending': 'Retardo de entrada',
+    'state.arming': 'Armando',
+    'state.triggered': '¡ALARMA!',
+    'state.unknown': 'Desconocido',
+    'detail.disarmed': 'Sistema listo',
+    'detail.armed_home': 'Perímetro protegido',
+    'detail.armed_away': 'Protección total activa',
+    'detail.armed_night': 'Protección nocturna activa',
+    'detail.armed_vacation': 'Protección de vacaciones activa',
+    'detail.armed_custom_bypass': 'Protección personalizada activa',
+    'detail.pending': 'Introduzca el código para desarmar',
+    'detail.arming': 'Salga ahora',
+    'detail.triggered': '¡Alerta de seguridad!',
+    'detail.unknown': 'Estado del sistema desconocido',
+    'detail.processingDisarm': 'Procesando desarmado...',
+    'detail.processingArm': 'Procesando armado {mode}...',
+    'detail.enterCodeToArm': 'Introduzca el código para armar {mode}',
+    'detail.waitingForKeypad': 'Esperando a otro teclado...',
+    'detail.waitingForCommands': 'Esperando a otras {count} órdenes...',
+
+    // Short state labels for the area selector
+    'areaState.disarmed': 'Desarmado',
+    'areaState.armed_home': 'En casa',
+    'areaState.armed_away': 'Ausente',
+    'areaState.armed_night': 'Noche',
+    'areaState.armed_vacation': 'Vacaciones',
+    'areaState.armed_custom_bypass': 'Personalizado',
+    'areaState.arming': 'Armando',
+    'areaState.pending': 'Pendiente',
+    'areaState.triggered': 'ALARMA',
+    'area.all': 'Todas las zonas',
+
+    // Arm buttons, and the short mode names used inside other messages
+    'mode.arm_home': 'Armar en casa',
+    'mode.arm_away': 'Armar ausente',
+    'mode.arm_night': 'Armar noche',
+    'mode.arm_vacation': 'Armar vacaciones',
+    'mode.arm_custom_bypass': 'Personalizado',
+    'modeShort.arm_home': 'En casa',
+    'modeShort.arm_away': 'Ausente',
+    'modeShort.arm_night': 'Noche',
+    'modeShort.arm_vacation': 'Vacaciones',
+    'modeShort.arm_custom_bypass': 'Personalizado',
+
+    // Notifications
+    'notify.disarmed': 'Sistema desarmado correctamente',
+    'notify.armed': 'Sistema armado correctamente en modo {mode}',
+    'notify.armedBypassed': {
+        one: 'Sistema armado correctamente en modo {mode} ({count} sensor anulado)',
+        other: 'Sistema armado correctamente en modo {mode} ({count} sensores anulados)'
+    },
+
+    // Errors - the server sends the error.* keys with its responses
+    'error.codeRequired': 'Se requiere el código de seguridad',
+    'error.invalidArea': 'Zona no válida',
+    'error.invalidMode': 'Orden de alarma no válida',
+    'error.invalidSensors': 'Solo se pueden anular los sensores vigilados',
+    'error.lockedOut': {
+        one: 'Demasiados intentos fallidos. Teclado bloqueado durante {seconds} segundo.',
+        other: 'Demasiados intentos fallidos. Teclado bloqueado durante {seconds} segundos.'
+    },
+    'error.rateLimited': 'Demasiadas órdenes. Espere un minuto y vuelva a intentarlo.',
+    'error.busy': 'El sistema de alarma está ocupado con otros teclados. Vuelva a intentarlo.',
+    'error.publishFailed': 'No se pudo enviar la orden al sistema de alarma',
+    'error.timeout': 'El sistema de alarma no respondió. Vuelva a intentarlo.',
+    'error.timeoutWithState': 'El sistema de alarma no respondió. Ahora está {state}.',
+    'error.failedToArm': 'No se pudo armar el sistema. Compruebe que todos los sensores estén cerrados.',
+    'error.failedToArmSensors': {
+        one: 'No se pudo armar el sistema. Sensor abierto: {sensors}.',
+        other: 'No se pudo armar el sistema. Sensores abiertos: {sensors}.'
+    },
+    'error.commandNotAllowed': 'Esta operación no está permitida ahora.',
+    'error.invalidCode': 'El código de seguridad introducido es incorrecto.',
+    'error.noCode': 'Se requiere el código de seguridad.',
+    'error.commandFailed': 'Hubo un problema al actualizar el sistema de alarma.',
+    'error.disarmFailed': 'No se pudo desarmar el sistema',
+    'error.updateFailed': 'No se pudo actualizar el sistema de alarma',
+    'error.communicationFailed': 'No se pudo comunicar con el sistema de alarma',
+    'error.sensorConfig': 'No se pudo cargar la configuración de sensores',
+
+    // Exit/entry delay countdown
+    'countdown.exit': 'Retardo de salida',
+    'countdown.entry': 'Retardo de entrada',
+
+    // Triggered alarm view
+    'triggered.title': 'ALARMA',
+    'triggered.hint': 'Introduzca su código para desarmar',
+    'triggered.unknownSensor': 'Sensor disparado desconocido',
+
+    // Wrong-code lockout
+    'lockout.locked': 'Bloqueado',
+    'lockout.text': {
+        one: 'Demasiados códigos erróneos. Bloqueado durante {seconds} segundo',
+        other: 'Demasiados códigos erróneos. Bloqueado durante {seconds} segundos'
+    },
+
+    // Open sensor bypass sheet
+    'bypass.titleOpen': '{mode}: sensores abiertos',
+    'bypass.titleFailed': '{mode}: no se pudo armar',
+    'bypass.hintOpen': 'Armar de todos modos obliga a Alarmo a anular todos los sensores abiertos, incluidos los que no aparecen aquí.',
+    'bypass.hintFailed': 'Alarmo no armó con estos sensores abiertos. Reintente para anular todos los sensores abiertos.',
+    'bypass.arm': 'Armar {mode} de todos modos',
+    'bypass.retry': 'Reintentar {mode}',
+    'bypass.cancel': 'Cancelar',
+    'bypass.openWhenArmed': 'Abiertos al armar: {sensors}',
+
+    // Sensors in the status bar
+    'sensors.open': {
+        one: '{count} abierto',
+        other: '{count} abiertos'
+    },
+    'sensors.error': 'Error de sensores',
+
+    // Connection health banner
+    'health.serverUnreachable': 'Servidor del teclado inaccesible, el estado puede estar desactualizado',
+    'health.alarmUnreachable': 'Sistema de alarma inaccesible, el estado puede estar desactualizado',
+    'health.homeAssistantUnreachable': 'Home Assistant inaccesible, los sensores pueden estar desactualizados',
+    'health.lastUpdate': 'Última actualización de la alarma {age}',
+    'health.noUpdate': 'Aún no se ha recibido ninguna actualización de la alarma',
+    'health.justNow': 'ahora mismo',
+
+    // Device pairing screen
+    'pairing.title': 'Vincular este teclado',
+    'pairing.hint': 'Apruebe este código como administrador para empezar a usar el teclado.',
+    'pairing.requesting': 'Solicitando código de vinculación...',
+    'pairing.waiting': 'Esperando aprobación...',
+    'pairing.failed': 'No se pudo iniciar la vinculación',
+
+    // Screen reader labels and announcements
+    'a11y.pinpad': 'Teclado',
+    'a11y.armButtons': 'Modos de armado',
+    'a11y.clear': 'Borrar código',
+    'a11y.enter': 'Introducir código',
+    'a11y.shift': 'Mayúsculas',
+    'a11y.language': 'Cambiar idioma',
+    'a11y.codeEntered': {
+        one: '{count} carácter introducido',
+        other: '{count} caracteres introducidos'
+    },
+    'a11y.state': 'Alarma: {state}. {detail}',
+
+    // Anuncios hablados
+    'speech.armed': 'Armado en modo {mode}',
+    'speech.disarmed': 'Desarmado',
+    'speech.exitDelay': {
+        one: 'Retardo de salida, {seconds} segundo',
+        other: 'Retardo de salida, {seconds} segundos'
+    },
+    'speech.entryDelay': {
+        one: 'Retardo de entrada, {seconds} segundo',
+        other: 'Retardo de entrada, {seconds} segundos'
+    },
+    'speech.triggered': '¡Alarma! {sensors}',
+    'speech.openSensors': {
+        one: '{sensors} está abierto, pulse armar de todos modos para anularlo',
+        other: '{sensors} están abiertos, pulse armar de todos modos para anularlos'
+    },
+    'speech.armFailed': {
+        one: 'No se pudo armar, {sensors} está abierto',
+        other: 'No se pudo armar, {sensors} están abiertos'
+    },
+    'speech.wrongCode': 'Código incorrecto',
+    'speech.lockout': {
+        one: 'Teclado bloqueado durante {seconds} segundo',
+        other: 'Teclado bloqueado durante {seconds} segundos'
+    }
+};
@@ -13,24 +13,66 @@
 // INITIALIZATION AND GLOBALS
 //==============================================================================
 
-// Initialize WebSocket connection
-const socket = io();
+// Initialize WebSocket connection, authenticated with this keypad's device token
+const socket = io({
+    auth: (callback) => callback({ token: localStorage.getItem('deviceToken') })
+});
+
+// Identifies this keypad in the server's audit log
+const keypadId = localStorage.getItem('keypadId') || (() => {
+    const id = 'keypad-' + Math.random().toString(16).substring(2, 10);
+    localStorage.setItem('keypadId', id);
+    return id;
+})();
 
 // PIN entry state
 let currentCode = '';
 let pinLength = 0;
 let pendingArmMode = null; // Store the arm mode that's pending code entry
+let pendingBypassSensors = []; // Open sensors to arm past once the code is entered
+let lastArmRequest = null; // { mode, code } of the arm command awaiting an answer, kept for a retry
 
 // Track initialization to prevent sounds on initial state load and reconnections
 let initialStateLoaded = false;
 let currentAlarmState = null; // Track current state to prevent redundant updates
 let lastButtonState = null; // Track button visibility state to prevent unnecessary changes
+let lastAnnouncedState = null; // Alarm state last read out to screen readers
+
+// Alarmo area tracking - 'master' is the state published on alarmo/state
+let areaStates = {}; // area -> latest state
+let selectedArea = localStorage.getItem('selectedArea'); // Area this keypad shows and controls
+
+// Language bundles register themselves in window.KEYPAD_LOCALES (see js/locales)
+const DEFAULT_LOCALE = 'en';
+let currentLocale = DEFAULT_LOCALE;
+
+// Language picked on this keypad with a ?locale= link or the globe button;
+// null follows the server's keypad.locale setting
+let keypadLocale = (() => {
+    const locale = new URLSearchParams(window.location.search).get('locale');
+    if (locale) {
+        localStorage.setItem('locale', locale);
+    }
+    return localStorage.getItem('locale');
+})();
+
+// Large-target mode picked on this keypad with a ?largeTargets=1 (or =0) link;
+// null follows the server's keypad.largeTargets setting
+const keypadLargeTargets = (() => {
+    const value = new URLSearchParams(window.location.search).get('largeTargets');
+    if (value !== null) {
+        localStorage.setItem('largeTargets', value);
+    }
+    const stored = localStorage.getItem('largeTargets');
+    return stored === null ? null : stored === '1';
+})();
 
 // Audio elements for various system sounds - Optimized for Android/FullyKiosk
 const audioContext = new (window.AudioContext || window.webkitAudioContext)();
 const soundBuffers = {};
 const soundSources = {}; // Cache active sources for quick reuse
 const sounds = ['keypress', 'action', 'error', 'armed', 'disarmed'];
+const packBuffers = {}; // event -> sound from the selected sound pack, played instead of the built-in one
 
 // Preload and optimize audio buffers
 sounds.forEach(sound => {
@@ -54,20 +96,206 @@ if (audioContext.state === 'suspended') {
     source.start(0);
 }
 
-// Store the refresh timer ID to avoid multiple refreshes
-let sensorRefreshTimer = null;
+// Generate the countdown beeps in place so they share the sound buffer pipeline
+soundBuffers.countdown = createBeepBuffer(880, 0.08);
+soundBuffers.countdown_final = createBeepBuffer(1320, 0.12);
+soundBuffers.siren = createSirenBuffer(650, 1300, 1.2);
+soundBuffers.chime = createChimeBuffer(659, 523, 0.5);
+
+/**
+ * Creates a short sine beep as an audio buffer
+ * 
+ * @param {number} frequency - Tone frequency in Hz
+ * @param {number} duration - Beep length in seconds
+ * @returns {AudioBuffer} The generated beep
+ */
+function createBeepBuffer(frequency, duration) {
+    const length = Math.floor(audioContext.sampleRate * duration);
+    const buffer = audioContext.createBuffer(1, length, audioContext.sampleRate);
+    const data = buffer.getChannelData(0);
+    
+    for (let i = 0; i < length; i++) {
+        // Short fade in/out to avoid clicks
+        const envelope = Math.min(1, i / 200, (length - i) / 200);
+        data[i] = Math.sin(2 * Math.PI * frequency * i / audioContext.sampleRate) * 0.5 * envelope;
+    }
+    
+    return buffer;
+}
+
+/**
+ * Creates one rise-and-fall siren wail as an audio buffer, made to be looped
+ * 
+ * @param {number} lowFrequency - Starting and ending pitch in Hz
+ * @param {number} highFrequency - Peak pitch in Hz
+ * @param {number} duration - Wail length in seconds
+ * @returns {AudioBuffer} The generated wail
+ */
+function createSirenBuffer(lowFrequency, highFrequency, duration) {
+    const length = Math.floor(audioContext.sampleRate * duration);
+    const buffer = audioContext.createBuffer(1, length, audioContext.sampleRate);
+    const data = buffer.getChannelData(0);
+    let phase = 0;
+    
+    for (let i = 0; i < length; i++) {
+        // Sweep up then back down so each loop starts at the same pitch
+        const sweep = 1 - Math.abs(2 * i / length - 1);
+        phase += 2 * Math.PI * (lowFrequency + (highFrequency - lowFrequency) * sweep) / audioContext.sampleRate;
+        
+        // Short fade in/out to avoid clicks where the loop joins
+        const envelope = Math.min(1, i / 200, (length - i) / 200);
+        data[i] = Math.sin(phase) * 0.5 * envelope;
+    }
+    
+    return buffer;
+}
+
+/**
+ * Creates a two-note door chime ("ding-dong") as an audio buffer
+ * 
+ * @param {number} highFrequency - First note in Hz
+ * @param {number} lowFrequency - Second note in Hz
+ * @param {number} noteDuration - Length of each note in seconds
+ * @returns {AudioBuffer} The generated chime
+ */
+function createChimeBuffer(highFrequency, lowFrequency, noteDuration) {
+    const noteLength = Math.floor(audioContext.sampleRate * noteDuration);
+    const buffer = audioContext.createBuffer(1, noteLength * 2, audioContext.sampleRate);
+    const data = buffer.getChannelData(0);
+    
+    [highFrequency, lowFrequency].forEach((frequency, note) => {
+        for (let i = 0; i < noteLength; i++) {
+            // Struck-bell envelope: quick attack, then an exponential decay
+            const envelope = Math.min(1, i / 200) * Math.exp(-4 * i / noteLength);
+            data[note * noteLength + i] = Math.sin(2 * Math.PI * frequency * i / audioContext.sampleRate) * 0.5 * envelope;
+        }
+    });
+    
+    return buffer;
+}
+
+// Watched sensors and their latest states, kept current by server pushes
+let sensorEntityIds = [];
+let sensorStates = {}; // entity_id -> Home Assistant state object
+
+// Wrong-code lockout state
+let lockoutUntil = 0; // Timestamp (ms) when the current lockout ends
+let lockoutTimer = null;
+
+// Exit/entry delay countdown state
+let countdownState = null; // { type, delay, expiresAt } for the running delay, expiresAt on the performance.now() clock
+let countdownTimer = null;
+let countdownLastBeep = -Infinity;
+
+// Triggered alarm state
+let alarmTrigger = null; // { event, sensors, timestamp } from Alarmo's TRIGGER event
+let sirenSource = null; // Looping siren, playing while any area is triggered
+
+// Display settings for every arm mode Alarmo supports, in button order
+// Labels come from the language bundles as mode.<mode> and modeShort.<mode>
+// Shortcuts are the operator keys of a USB numpad (and the same keys on a full keyboard)
+const ARM_MODE_DEFINITIONS = {
+    arm_home: { icon: 'fas fa-home', className: 'arm-home', shortcut: '/' },
+    arm_away: { icon: 'fas fa-walking', className: 'arm-away', shortcut: '*' },
+    arm_night: { icon: 'fas fa-moon', className: 'arm-night', shortcut: '-' },
+    arm_vacation: { icon: 'fas fa-plane', className: 'arm-vacation', shortcut: '+' },
+    arm_custom_bypass: { icon: 'fas fa-sliders-h', className: 'arm-custom-bypass', shortcut: '.' }
+};
+
+// Arm modes currently shown on the keypad (replaced once the enabled modes are loaded)
+let armModes = ['arm_home', 'arm_away'];
+
+// Keypad behaviour settings (replaced once loaded from the server)
+let keypadSettings = {
+    bypassSensorsTimeout: 10000,
+    sounds: true,
+    volume: 100,
+    theme: 'dark',
+    largeTargets: false,
+    scrambleStates: [], // alarm states in which the pinpad digits are shuffled
+    themes: {
+        pinned: false, // true when this keypad was given its own theme on the admin page
+        auto: 'off', // 'off', 'schedule' or 'sun'
+        nightTheme: 'night',
+        nightStart: '22:00',
+        nightEnd: '07:00',
+        sunEntity: 'sun.sun',
+        sunState: null,
+        states: {} // alarm state -> theme, or null to keep the day/night theme
+    },
+    locale: DEFAULT_LOCALE,
+    idleTimeout: 120000,
+    kiosk: {
+        enabled: true,
+        brightness: 200,
+        nightBrightness: 20,
+        nightStart: '22:00',
+        nightEnd: '07:00',
+        batteryReportInterval: 300000
+    },
+    speech: {
+        enabled: false,
+        rate: 100,
+        language: null,
+        events: {} // event -> { enabled, volume, template }
+    }
+};
 
-// Track arm button state for double-press functionality
-let armButtonPressed = {
-    'arm_home': false,
-    'arm_away': false
+// Sound pack, per-event volume and quiet hours settings (replaced once loaded from the server)
+let soundSettings = {
+    events: {
+        chime: { pack: 'default', volume: 0, url: null } // event -> { pack, volume, url }
+    },
+    quietHours: { enabled: false, start: '22:00', end: '07:00' }
 };
 
-let armButtonTimer = {
-    'arm_home': null,
-    'arm_away': null
+// Code entry settings (replaced once the alarm's code format is loaded)
+// length is null when Alarmo accepts codes of any length up to maxLength
+let codeSettings = {
+    format: 'number',
+    length: 4,
+    maxLength: 12
 };
 
+// Rows of the on-screen keyboard used for alphanumeric codes
+const TEXT_KEYBOARD_ROWS = [
+    ['1', '2', '3', '4', '5', '6', '7', '8', '9', '0'],
+    ['q', 'w', 'e', 'r', 't', 'y', 'u', 'i', 'o', 'p'],
+    ['a', 's', 'd', 'f', 'g', 'h', 'j', 'k', 'l'],
+    ['shift', 'z', 'x', 'c', 'v', 'b', 'n', 'm', 'clear'],
+    ['enter']
+];
+let textKeyboardShift = false;
+
+// Pinpad digits in their normal order, left to right and top to bottom
+const PINPAD_DIGITS = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '0'];
+let scrambledState = null; // Alarm state the pinpad digits were last shuffled for; null while in order
+
+// Connection health reported by the server, and whether our own socket is up
+let serverHealth = null;
+let serverConnected = false;
+let healthBannerTimer = null;
+
+// Idle screensaver state
+let idleTimer = null; // Dims the keypad once it has sat untouched for the idle timeout
+let idleClockTimer = null;
+let isIdle = false;
+
+// Fully Kiosk Browser's JavaScript interface, when the keypad runs inside it
+const fullyKiosk = typeof window.fully !== 'undefined' ? window.fully : null;
+let kioskBrightnessTimer = null;
+let kioskBatteryTimer = null;
+let kioskEventsBound = false;
+
+// Timer that polls for pairing approval while the pairing screen is shown
+let pairingPollTimer = null;
+
+// Bypass sheet state
+let bypassSheetTimer = null;
+let bypassedSensors = []; // Sensors open when the selected area was armed, as { entity_id, name }
+let areaBypassedSensors = {}; // area -> sensors open when it was armed
+let areaCountdowns = {}; // area -> running exit/entry delay
+
 //==============================================================================
 // WEBSOCKET EVENT HANDLERS
 //==============================================================================
@@ -77,6 +305,14 @@ let armButtonTimer = {
  */
 socket.on('connect', () => {
     console.log('Connected to server');
+    serverConnected = true;
+    updateHealthBanner();
+    reportKioskStatus();
+    
+    // Resync sensors in case changes were pushed while we were disconnected
+    if (sensorEntityIds.length > 0) {
+        getAndDisplayEntities(sensorEntityIds);
+    }
 });
 
 /**
@@ -84,16 +320,78 @@ socket.on('connect', () => {
  */
 socket.on('disconnect', () => {
     console.log('Disconnected from server');
+    serverConnected = false;
+    updateHealthBanner();
     updateAlarmState('Unknown');
     // Don't reset currentAlarmState here - keep it so we can detect actual changes on reconnect
 });
 
+/**
+ * Handle rejected socket connections - the keypad needs pairing
+ */
+socket.on('connect_error', (error) => {
+    if (error.message === 'unauthorized') {
+        console.warn('Keypad is not paired');
+        showPairingScreen();
+    }
+});
+
+/**
+ * Handle this keypad's device being revoked by an admin
+ */
+socket.on('deviceRevoked', () => {
+    console.warn('Keypad device token revoked');
+    localStorage.removeItem('deviceToken');
+    showPairingScreen();
+});
+
+/**
+ * Handle connection health changes on the server
+ */
+socket.on('healthChanged', (data) => {
+    console.log(`Server connection health: ${data.status}`, data.components);
+    serverHealth = data;
+    updateHealthBanner();
+});
+
+/**
+ * Handle configuration changes on the server - reload sensors and keypad settings
+ */
+socket.on('configChanged', (data) => {
+    console.log('Server configuration changed:', data.changed);
+    loadAndDisplaySensors();
+    loadKeypadSettings();
+    loadSoundSettings();
+    loadCodeSettings();
+    loadArmModes();
+});
+
 /**
  * Handle alarm state changes received from server
  */
 socket.on('alarmStateChanged', (data) => {
     console.log('Alarm state changed:', data);
     
+    // Track every area, but only the selected one drives the main display
+    const area = data.area || 'master';
+    
+    // Any state change is worth looking at, so wake the screen
+    if (areaStates[area] !== undefined && areaStates[area] !== data.state) {
+        wakeFromIdle();
+    }
+    areaStates[area] = data.state;
+    areaBypassedSensors[area] = data.bypassedSensors || [];
+    areaCountdowns[area] = receiveCountdown(data.countdown);
+    alarmTrigger = data.trigger || null;
+    renderAreaSelector();
+    
+    // The siren sounds for every area, the alarm view only for the selected one
+    updateTriggeredView();
+    
+    if (area !== getSelectedArea()) {
+        return;
+    }
+    
     // Check if this is actually a state change or just a reconnection update
     const isActualStateChange = currentAlarmState !== data.state;
     
@@ -101,6 +399,7 @@ socket.on('alarmStateChanged', (data) => {
     if (initialStateLoaded && isActualStateChange) {
         // Play appropriate sound based on the state change
         playAlarmStateSound(data.state);
+        announceAlarmState(data.state);
         console.log(`State changed from ${currentAlarmState} to ${data.state} - playing sound`);
     } else if (!initialStateLoaded) {
         // First state update after page load, mark initialization complete
@@ -115,6 +414,78 @@ socket.on('alarmStateChanged', (data) => {
     
     // Update the UI (but buttons will only change if state actually changed)
     updateAlarmState(data.state);
+    
+    bypassedSensors = areaBypassedSensors[area];
+    displayBypassedSensors();
+    
+    // Resume a running exit/entry delay (e.g. after reconnecting mid-countdown)
+    if (areaCountdowns[area]) {
+        startCountdown(areaCountdowns[area]);
+    }
+});
+
+/**
+ * Handle the start of an exit or entry delay received from server
+ */
+socket.on('alarmCountdown', (data) => {
+    console.log('Alarm countdown started:', data);
+    const area = data.area || 'master';
+    areaCountdowns[area] = receiveCountdown(data);
+    
+    // A delay in another area must not beep or light up this keypad
+    if (area !== getSelectedArea()) {
+        return;
+    }
+    
+    startCountdown(areaCountdowns[area]);
+    announce(data.type === 'entry' ? 'entryDelay' : 'exitDelay', { seconds: data.delay, count: data.delay });
+});
+
+/**
+ * Handle the alarm being set off - names the sensors that tripped it
+ */
+socket.on('alarmTriggered', (data) => {
+    console.warn('Alarm triggered by:', data.sensors);
+    alarmTrigger = data;
+    updateTriggeredView();
+});
+
+/**
+ * Handle sensor state changes pushed from the server
+ */
+socket.on('sensorStateChanged', (data) => {
+    // Themes that follow the sun switch at sunset and sunrise
+    if (data.entity && data.entity.entity_id === keypadSettings.themes.sunEntity) {
+        keypadSettings.themes.sunState = data.entity.state;
+        updateTheme();
+    }
+    
+    if (!data.entity || !sensorEntityIds.includes(data.entity.entity_id)) {
+        return;
+    }
+    
+    console.log(`Sensor ${data.entity.entity_id} changed to ${data.entity.state}`);
+    
+    // Wake the screen when a sensor opens
+    const previous = sensorStates[data.entity.entity_id];
+    if (data.entity.state === 'on' && (!previous || previous.state !== 'on')) {
+        wakeFromIdle();
+        
+        // Door chime while disarmed
+        if (previous && currentAlarmState === 'disarmed') {
+            playSound('chime');
+        }
+    }
+    sensorStates[data.entity.entity_id] = data.entity;
+    displayEntities();
+});
+
+/**
+ * Handle wrong-code lockouts received from server
+ */
+socket.on('keypadLockout', (data) => {
+    console.warn('Keypad locked out:', data);
+    startLockout(data);
 });
 
 /**
@@ -123,9 +494,17 @@ socket.on('alarmStateChanged', (data) => {
 socket.on('alarmUpdateError', (data) => {
     console.error('Alarm update error:', data);
     
+    // Rejected keypad commands are reported by their own updateAlarmState response;
+    // this keypad's failed arm still gets its retry sheet if the event arrives first
+    if (data.keypadId) {
+        if (data.keypadId === keypadId && data.event === 'FAILED_TO_ARM' && data.sensors && data.sensors.length > 0) {
+            showArmFailedSheet(data.sensors);
+        }
+        return;
+    }
+    
     // Show toast notification with error message
-    const message = data.message || getErrorMessageForEvent(data.event);
-    showNotification(message, 'error');
+    showNotification(getResponseMessage(data, getErrorKeyForEvent(data.event)), 'error');
     
     // Play error feedback
     playHapticFeedback('error');
@@ -141,8 +520,13 @@ socket.on('alarmUpdateError', (data) => {
 socket.on('alarmUpdateTimeout', (data) => {
     console.warn('Alarm update timeout for mode:', data.mode);
     
-    // Show toast notification
-    showNotification('The alarm system did not respond. Please try again.', 'warning');
+    // Show toast notification, with the state the server found after the timeout
+    showNotification(
+        data.state
+            ? t('error.timeoutWithState', { state: getStateName(data.state) })
+            : t('error.timeout'),
+        'warning'
+    );
     
     // Play error feedback
     playHapticFeedback('error');
@@ -152,6 +536,182 @@ socket.on('alarmUpdateTimeout', (data) => {
     pendingArmMode = null;
 });
 
+/**
+ * Handle command queue updates received from server
+ * Lets the user know when their command is waiting behind another keypad's
+ */
+socket.on('commandQueue', (data) => {
+    const position = data.queued.findIndex(command => command.keypadId === keypadId);
+    if (position === -1) {
+        return;
+    }
+    
+    const statusDetailElement = document.getElementById('status-detail');
+    if (statusDetailElement) {
+        statusDetailElement.textContent = position === 0
+            ? t('detail.waitingForKeypad')
+            : t('detail.waitingForCommands', { count: position + 1 });
+    }
+});
+
+//==============================================================================
+// LOCALIZATION
+//==============================================================================
+
+/**
+ * Looks up a string in the keypad's language, falling back to English
+ * Entries with one/other forms are picked by params.count, and list params
+ * (e.g. sensor names) are joined the way the language joins lists
+ * 
+ * @param {string} key - The string key (e.g. 'detail.disarmed')
+ * @param {Object} [params] - Values for the entry's {name} placeholders
+ * @returns {string} The text, or the key itself when no bundle has it
+ */
+function t(key, params = {}) {
+    let entry = getLocaleEntry(currentLocale, key);
+    if (entry === undefined) {
+        entry = getLocaleEntry(DEFAULT_LOCALE, key);
+    }
+    if (entry === undefined) {
+        return key;
+    }
+    
+    if (typeof entry === 'object') {
+        const category = typeof params.count === 'number'
+            ? new Intl.PluralRules(currentLocale).select(params.count)
+            : 'other';
+        entry = entry[category] || entry.other;
+    }
+    
+    return entry.replace(/\{(\w+)\}/g, (placeholder, name) => {
+        const value = params[name];
+        if (value === undefined || value === null) {
+            return placeholder;
+        }
+        return Array.isArray(value) ? formatList(value) : String(value);
+    });
+}
+
+/**
+ * Whether the keypad's language or English has a string for a key
+ * 
+ * @param {string} key - The string key
+ * @returns {boolean}
+ */
+function hasTranslation(key) {
+    return getLocaleEntry(currentLocale, key) !== undefined || getLocaleEntry(DEFAULT_LOCALE, key) !== undefined;
+}
+
+function getLocaleEntry(locale, key) {
+    const bundle = (window.KEYPAD_LOCALES || {})[locale];
+    return bundle ? bundle[key] : undefined;
+}
+
+/**
+ * Joins names as a list in the keypad's language (e.g. "Front Door and Back Door")
+ * 
+ * @param {Array<string>} items - The names
+ * @returns {string}
+ */
+function formatList(items) {
+    try {
+        return new Intl.ListFormat(currentLocale, { type: 'conjunction' }).format(items.map(String));
+    } catch (e) {
+        // Older browsers without Intl.ListFormat
+        return items.join(', ');
+    }
+}
+
+/**
+ * Returns an alarm state as it reads inside a sentence (e.g. "armed away")
+ * 
+ * @param {string} state - The alarm state
+ * @returns {string}
+ */
+function getStateName(state) {
+    return hasTranslation(`state.${state}`) ? t(`state.${state}`).toLowerCase() : state.replace(/_/g, ' ');
+}
+
+/**
+ * Returns the message for a server response or socket event in the keypad's language
+ * The server sends a messageKey and messageParams with its English message;
+ * the English message is only used for keys the bundles don't have
+ * 
+ * @param {Object} data - The response body or event payload
+ * @param {string} fallbackKey - Key to use when the server sent no message at all
+ * @returns {string}
+ */
+function getResponseMessage(data, fallbackKey) {
+    if (data && data.messageKey && hasTranslation(data.messageKey)) {
+        const params = { ...data.messageParams };
+        if (params.state) {
+            params.state = getStateName(params.state);
+        }
+        return t(data.messageKey, params);
+    }
+    return (data && data.message) || t(fallbackKey);
+}
+
+/**
+ * Switches the keypad to a language and redraws every text on screen
+ * Unknown languages fall back to English
+ * 
+ * @param {string} locale - The language code (e.g. 'es')
+ */
+function setLocale(locale) {
+    const locales = window.KEYPAD_LOCALES || {};
+    currentLocale = locales[locale] ? locale : DEFAULT_LOCALE;
+    document.documentElement.lang = currentLocale;
+    
+    const localeButton = document.getElementById('locale-button');
+    if (localeButton) {
+        localeButton.style.display = Object.keys(locales).length > 1 ? 'flex' : 'none';
+        document.getElementById('locale-label').textContent = currentLocale.toUpperCase();
+    }
+    
+    // Static texts and screen reader labels in index.html
+    document.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    document.querySelectorAll('[data-i18n-label]').forEach(element => {
+        element.setAttribute('aria-label', t(element.dataset.i18nLabel));
+    });
+    
+    // Texts built by the keypad
+    if (currentAlarmState) {
+        updateAlarmState(currentAlarmState);
+    }
+    renderArmButtons(armModes);
+    renderAreaSelector();
+    updatePinDisplay();
+    updateCountdownLabel();
+    renderTriggeredSensors();
+    displayEntities();
+    displayBypassedSensors();
+    if (healthBannerTimer) {
+        updateHealthBanner();
+    }
+    if (isIdle) {
+        updateIdleScreen();
+    }
+}
+
+/**
+ * Moves this keypad on to the next language and remembers the choice
+ * Called from the globe button
+ */
+function cycleLocale() {
+    const locales = Object.keys(window.KEYPAD_LOCALES || {});
+    const next = locales[(locales.indexOf(currentLocale) + 1) % locales.length];
+    
+    playSound('keypad');
+    playHapticFeedback('light');
+    
+    keypadLocale = next;
+    localStorage.setItem('locale', next);
+    setLocale(next);
+}
+
 //==============================================================================
 // FEEDBACK AND UI FUNCTIONS
 //==============================================================================
@@ -167,14 +727,12 @@ function playAlarmStateSound(state) {
         case 'armed_home':
         case 'armed_night':
         case 'armed_vacation':
+        case 'armed_custom_bypass':
             playSound('armed');
             break;
         case 'disarmed':
             playSound('disarmed');
             break;
-        case 'triggered':
-            playSound('triggered');
-            break;
         default:
             // No sound for other states
             break;
@@ -215,9 +773,14 @@ function playHapticFeedback(style = 'medium') {
  * Plays sound feedback for button presses and system events
  * Optimized for low latency on Android/FullyKiosk
  * 
- * @param {string} type - Type of sound ('keypad', 'action', 'error', 'armed', 'disarmed', 'triggered')
+ * @param {string} type - Type of sound ('keypad', 'action', 'error', 'armed', 'disarmed', 'countdown', 'countdown_final', 'chime')
  */
 function playSound(type = 'keypad') {
+    // Sounds can be turned off from the admin page
+    if (!keypadSettings.sounds) {
+        return;
+    }
+    
     try {
         // Quick resume for Android
         if (audioContext.state === 'suspended') {
@@ -232,12 +795,22 @@ function playSound(type = 'keypad') {
             case 'error': soundName = 'error'; break;
             case 'armed': soundName = 'armed'; break;
             case 'disarmed': soundName = 'disarmed'; break;
-            case 'triggered': soundName = 'action'; break;
+            case 'countdown': soundName = 'countdown'; break;
+            case 'countdown_final': soundName = 'countdown_final'; break;
+            case 'chime': soundName = 'chime'; break;
             default: soundName = 'keypress';
         }
         
+        // The final countdown beeps share the countdown event's pack, volume and quiet hours rule
+        const event = soundName === 'countdown_final' ? 'countdown' : soundName;
+        const volume = getSoundVolume(event);
+        if (volume === 0 || isQuietSound(event)) {
+            return;
+        }
+        const buffer = packBuffers[event] || soundBuffers[soundName];
+        
         // If buffer is loaded, play it immediately
-        if (soundBuffers[soundName]) {
+        if (buffer) {
             // Stop any existing sound of this type for immediate response
             if (soundSources[soundName]) {
                 try {
@@ -246,8 +819,13 @@ function playSound(type = 'keypad') {
             }
             
             const source = audioContext.createBufferSource();
-            source.buffer = soundBuffers[soundName];
-            source.connect(audioContext.destination);
+            source.buffer = buffer;
+            
+            // Play at the configured volume
+            const gain = audioContext.createGain();
+            gain.gain.value = volume;
+            source.connect(gain);
+            gain.connect(audioContext.destination);
             source.start(0);
             
             // Cache for potential early stopping
@@ -265,6 +843,62 @@ function playSound(type = 'keypad') {
     }
 }
 
+/**
+ * Returns the gain for a sound event: the event's own volume on top of the keypad volume
+ * 
+ * @param {string} event - The sound event (e.g. 'keypress', 'triggered')
+ * @returns {number} The gain, 0-1
+ */
+function getSoundVolume(event) {
+    const eventSettings = soundSettings.events[event];
+    const eventVolume = eventSettings ? eventSettings.volume : 100;
+    return (keypadSettings.volume / 100) * (eventVolume / 100);
+}
+
+/**
+ * Whether quiet hours mute a sound event right now
+ * The siren and entry delay beeps always play so nobody misses the alarm
+ * 
+ * @param {string} event - The sound event
+ * @returns {boolean}
+ */
+function isQuietSound(event) {
+    const quietHours = soundSettings.quietHours;
+    if (!quietHours.enabled || !isWithinHours(quietHours.start, quietHours.end)) {
+        return false;
+    }
+    
+    const entryDelay = event === 'countdown' && countdownState && countdownState.type === 'entry';
+    return event !== 'triggered' && !entryDelay;
+}
+
+/**
+ * Whether the tablet's clock is within a daily time range
+ * 
+ * @param {string} start - Start time (HH:MM)
+ * @param {string} end - End time (HH:MM)
+ * @returns {boolean}
+ */
+function isWithinHours(start, end) {
+    if (!start || !end) {
+        return false;
+    }
+    
+    const toMinutes = time => {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+    };
+    const now = new Date();
+    const current = now.getHours() * 60 + now.getMinutes();
+    const startMinutes = toMinutes(start);
+    const endMinutes = toMinutes(end);
+    
+    // Ranges usually run past midnight (e.g. 22:00-07:00)
+    return startMinutes <= endMinutes
+        ? current >= startMinutes && current < endMinutes
+        : current >= startMinutes || current < endMinutes;
+}
+
 /**
  * Updates the UI based on the current alarm state
  * Changes status icons, text, and button visibility
@@ -286,77 +920,43 @@ function updateAlarmState(state) {
             'status-disarmed', 
             'status-armed_home', 
             'status-armed_away', 
+            'status-armed_night', 
+            'status-armed_vacation', 
+            'status-armed_custom_bypass', 
             'status-pending', 
             'status-triggered',
             'status-arming'
         );
         
         // Update the status text based on the current state
-        switch (state) {
-            case 'disarmed':
-                alarmState.textContent = 'Disarmed';
-                systemStatus.classList.add('status-disarmed');
-                
-                if (statusDetail) {
-                    statusDetail.textContent = 'System Ready';
-                }
-                break;
-                
-            case 'armed_home':
-                alarmState.textContent = 'Armed Home';
-                systemStatus.classList.add('status-armed_home');
-                
-                if (statusDetail) {
-                    statusDetail.textContent = 'Home Perimeter Protected';
-                }
-                break;
-                
-            case 'armed_away':
-                alarmState.textContent = 'Armed Away';
-                systemStatus.classList.add('status-armed_away');
-                
-                if (statusDetail) {
-                    statusDetail.textContent = 'Full Protection Active';
-                }
-                break;
-                
-            case 'pending':
-                alarmState.textContent = 'Exit Delay';
-                systemStatus.classList.add('status-pending');
-                
-                if (statusDetail) {
-                    statusDetail.textContent = 'Please Exit Now';
-                }
-                break;
-                
-            case 'arming':
-                alarmState.textContent = 'Arming';
-                systemStatus.classList.add('status-arming');
-                
-                if (statusDetail) {
-                    statusDetail.textContent = 'Exit Now';
-                }
-                break;
-                
-            case 'triggered':
-                alarmState.textContent = 'ALARM!';
-                systemStatus.classList.add('status-triggered');
-                
-                if (statusDetail) {
-                    statusDetail.textContent = 'Security Alert!';
-                }
-                break;
-                
-            default:
-                alarmState.textContent = state || 'Unknown';
-                if (statusDetail) {
-                    statusDetail.textContent = 'System Status Unknown';
-                }
+        const knownState = state !== 'unknown' && hasTranslation(`state.${state}`);
+        alarmState.textContent = knownState ? t(`state.${state}`) : state || t('state.unknown');
+        if (knownState) {
+            systemStatus.classList.add(`status-${state}`);
+        }
+        
+        if (statusDetail) {
+            statusDetail.textContent = t(knownState ? `detail.${state}` : 'detail.unknown');
         }
+        
+        // Read the new state out once, not on every redraw
+        if (state !== lastAnnouncedState) {
+            lastAnnouncedState = state;
+            announceLive(t('a11y.state', { state: alarmState.textContent, detail: statusDetail ? statusDetail.textContent : '' }), state === 'triggered');
+        }
+    }
+    
+    // Stop the delay countdown once the system leaves the exit/entry delay
+    if (state !== 'arming' && state !== 'pending') {
+        stopCountdown();
     }
     
     // Update arm buttons based on state
     updateArmButtonsState(state);
+    
+    // Switch to the alarm state's own theme, if it has one
+    updateTheme();
+    updatePinpadLayout();
 }
 
 /**
@@ -366,10 +966,9 @@ function updateAlarmState(state) {
  * @param {string} state - The current alarm state
  */
 function updateArmButtonsState(state) {
-    const armHomeBtn = document.getElementById('arm-home');
-    const armAwayBtn = document.getElementById('arm-away');
+    const armButtons = getArmButtons();
     
-    if (armHomeBtn && armAwayBtn) {
+    if (armButtons.length > 0) {
         // Determine what the button state should be
         const shouldShowButtons = (state === 'disarmed');
         
@@ -377,13 +976,9 @@ function updateArmButtonsState(state) {
         if (lastButtonState !== shouldShowButtons) {
             console.log(`Button visibility changing: ${lastButtonState} -> ${shouldShowButtons}`);
             
-            if (shouldShowButtons) {
-                armHomeBtn.style.display = 'flex';
-                armAwayBtn.style.display = 'flex';
-            } else {
-                armHomeBtn.style.display = 'none';
-                armAwayBtn.style.display = 'none';
-            }
+            armButtons.forEach(button => {
+                button.style.display = shouldShowButtons ? 'flex' : 'none';
+            });
             
             // Update the tracked state
             lastButtonState = shouldShowButtons;
@@ -401,13 +996,32 @@ function updateArmButtonsState(state) {
 /**
  * Updates the PIN dots display to reflect the current code length
  * Fills or empties the visual dots based on PIN digits entered
+ * Codes with a fixed length show one dot per character; other codes grow as they're typed
  */
 function updatePinDisplay() {
-    const pinDots = document.querySelectorAll('#pin-dots .pin-dot');
-    if (pinDots.length > 0) {
-        // Reset all dots to empty
-        pinDots.forEach(dot => dot.classList.add('empty'));
-        
+    const container = document.getElementById('pin-dots');
+    if (!container) {
+        return;
+    }
+    
+    // Rebuild the dots when the number needed has changed
+    const dotCount = codeSettings.length || Math.max(4, pinLength);
+    if (container.children.length !== dotCount) {
+        container.innerHTML = '';
+        for (let i = 0; i < dotCount; i++) {
+            const dot = document.createElement('div');
+            dot.className = 'pin-dot empty';
+            container.appendChild(dot);
+        }
+    }
+    
+    container.setAttribute('aria-label', t('a11y.codeEntered', { count: pinLength }));
+    
+    const pinDots = container.querySelectorAll('.pin-dot');
+    if (pinDots.length > 0) {
+        // Reset all dots to empty
+        pinDots.forEach(dot => dot.classList.add('empty'));
+        
         // Fill in dots based on current code length
         for (let i = 0; i < pinLength && i < pinDots.length; i++) {
             pinDots[i].classList.remove('empty');
@@ -443,6 +1057,7 @@ function showNotification(message, type = 'info', duration = 3000) {
     const notification = document.createElement('div');
     notification.className = `notification ${type}`;
     notification.textContent = message;
+    announceLive(message, type === 'error');
     
     // Set background color based on notification type
     switch (type) {
@@ -491,23 +1106,23 @@ function showNotification(message, type = 'info', duration = 3000) {
 }
 
 /**
- * Maps error events to user-friendly messages
+ * Maps error events to the keys of user-friendly messages
  * 
  * @param {string} event - The error event from the backend
- * @returns {string} User-friendly error message
+ * @returns {string} The message key
  */
-function getErrorMessageForEvent(event) {
+function getErrorKeyForEvent(event) {
     switch(event) {
         case 'FAILED_TO_ARM':
-            return 'Failed to arm system. Check that all sensors are closed.';
+            return 'error.failedToArm';
         case 'INVALID_CODE_PROVIDED':
-            return 'The security code you entered is incorrect.';
+            return 'error.invalidCode';
         case 'NO_CODE_PROVIDED':
-            return 'Security code is required.';
+            return 'error.noCode';
         case 'COMMAND_NOT_ALLOWED':
-            return 'This operation is not allowed right now.';
+            return 'error.commandNotAllowed';
         default:
-            return 'There was a problem updating the alarm system.';
+            return 'error.commandFailed';
     }
 }
 
@@ -518,333 +1133,1870 @@ function getErrorMessageForEvent(event) {
  * @param {boolean} openSensorsPresent - Whether there are any open sensors
  */
 function updateArmButtonsForOpenSensors(openSensorsPresent) {
-    const armHomeBtn = document.getElementById('arm-home');
-    const armAwayBtn = document.getElementById('arm-away');
-    
-    if (armHomeBtn && armAwayBtn) {
+    getArmButtons().forEach(button => {
         if (openSensorsPresent) {
             // Add warning styling to buttons when sensors are open
-            armHomeBtn.classList.add('arm-button-warning');
-            armAwayBtn.classList.add('arm-button-warning');
+            button.classList.add('arm-button-warning');
         } else {
             // Remove warning styling when all sensors are closed
-            armHomeBtn.classList.remove('arm-button-warning');
-            armAwayBtn.classList.remove('arm-button-warning');
-            
-            // Reset any pending arm button states
-            armButtonPressed.arm_home = false;
-            armButtonPressed.arm_away = false;
-            if (armButtonTimer.arm_home) clearTimeout(armButtonTimer.arm_home);
-            if (armButtonTimer.arm_away) clearTimeout(armButtonTimer.arm_away);
+            button.classList.remove('arm-button-warning');
         }
+    });
+}
+
+/**
+ * Builds the arm buttons for the given modes
+ * Replaces any existing buttons and wires up their touch and click handlers
+ * 
+ * @param {Array<string>} modes - The arm modes to show (e.g., ['arm_home', 'arm_away'])
+ */
+function renderArmButtons(modes) {
+    const container = document.getElementById('action-buttons');
+    if (!container) {
+        return;
     }
+    
+    // Ignore modes the keypad doesn't know how to display
+    armModes = modes.filter(mode => ARM_MODE_DEFINITIONS[mode]);
+    container.innerHTML = '';
+    
+    armModes.forEach(mode => {
+        const definition = ARM_MODE_DEFINITIONS[mode];
+        const button = document.createElement('button');
+        button.id = getArmButtonId(mode);
+        button.className = `action-btn large-button ${definition.className}`;
+        button.dataset.mode = mode;
+        button.setAttribute('aria-keyshortcuts', definition.shortcut);
+        button.innerHTML = `<i class="${definition.icon}" aria-hidden="true"></i><span>${t(`mode.${mode}`)}</span>`;
+        
+        bindArmButton(button, mode);
+        container.appendChild(button);
+    });
+    
+    // Compact layout when more than two modes are offered
+    container.classList.toggle('many-modes', armModes.length > 2);
+    
+    // Force the visibility to be re-applied to the new buttons
+    lastButtonState = null;
+    updateArmButtonsState(currentAlarmState || 'disarmed');
+}
+
+/**
+ * Returns all arm buttons currently on the keypad
+ * 
+ * @returns {Array<HTMLElement>} The arm button elements
+ */
+function getArmButtons() {
+    return Array.from(document.querySelectorAll('#action-buttons .action-btn'));
+}
+
+/**
+ * Returns the element ID used for an arm mode's button
+ * 
+ * @param {string} mode - The arming mode (e.g., arm_night)
+ * @returns {string} The button ID (e.g., arm-night)
+ */
+function getArmButtonId(mode) {
+    return mode.replace(/_/g, '-');
+}
+
+/**
+ * Returns the short display label for an arm mode
+ * 
+ * @param {string} mode - The arming mode (e.g., arm_night)
+ * @returns {string} The short label (e.g., Night)
+ */
+function getArmModeLabel(mode) {
+    return ARM_MODE_DEFINITIONS[mode] ? t(`modeShort.${mode}`) : mode.replace('arm_', '');
 }
 
 //==============================================================================
-// PIN ENTRY AND ALARM CONTROL
+// AREA SELECTION
 //==============================================================================
 
 /**
- * Handles keypad button clicks for code entry
- * Processes button presses and updates PIN display
+ * Returns the area this keypad is showing and controlling
+ * Falls back to the master area, then to the first known area
  * 
- * @param {string} key - The key that was pressed
+ * @returns {string} The selected area
  */
-function handleKeyPress(key) {
-    // Play feedback for all key presses
+function getSelectedArea() {
+    if (selectedArea && areaStates[selectedArea] !== undefined) {
+        return selectedArea;
+    }
+    if (areaStates.master !== undefined) {
+        return 'master';
+    }
+    return Object.keys(areaStates)[0] || 'master';
+}
+
+/**
+ * Switches the keypad to another area
+ * 
+ * @param {string} area - The area to show and control
+ */
+function selectArea(area) {
+    if (area === getSelectedArea()) {
+        return;
+    }
+    
+    console.log(`Switching to area ${area}`);
     playSound('keypad');
     playHapticFeedback('light');
     
-    if (key === 'clear') {
-        // Clear the code
-        currentCode = '';
-        pinLength = 0;
-        updatePinDisplay();
-    } else if (key === 'enter') {
-        // Play different feedback for enter key
-        playHapticFeedback('medium');
-        
-        if (currentCode) {
-            if (pendingArmMode) {
-                // We have a pending arm operation
-                armSystem(pendingArmMode, currentCode);
-                pendingArmMode = null; // Reset pending mode
-            } else {
-                // Default is to disarm with the code
-                disarmWithCode(currentCode);
-            }
-        }
-        
-        currentCode = '';
-        pinLength = 0;
-        updatePinDisplay();
-    } else {
-        // Add digit to current code (limit to 4 digits for PIN)
-        if (pinLength < 4) {
-            currentCode += key;
-            pinLength++;
-            updatePinDisplay();
-        } else {
-            // Play error sound if trying to add more than 4 digits
-            playSound('error');
-            playHapticFeedback('error');
-        }
-    }
+    selectedArea = area;
+    localStorage.setItem('selectedArea', area);
+    
+    // Any pending arm request was meant for the previous area
+    pendingArmMode = null;
+    currentCode = '';
+    pinLength = 0;
+    updatePinDisplay();
+    stopCountdown();
+    
+    currentAlarmState = areaStates[area];
+    updateAlarmState(currentAlarmState);
+    bypassedSensors = areaBypassedSensors[area] || [];
+    displayBypassedSensors();
+    renderAreaSelector();
+    updateTriggeredView();
+    
+    // Pick up the new area's exit/entry delay if one is running
+    startCountdown(areaCountdowns[area]);
 }
 
 /**
- * Sends a disarm request with the provided code
+ * Returns the display name for an area
  * 
- * @param {string} code - The disarm code
+ * @param {string} area - The area slug
+ * @returns {string} The display name (e.g., 'Detached Garage')
  */
-function disarmWithCode(code) {
-    // Show visual feedback that request is processing
-    const statusDetailElement = document.getElementById('status-detail');
-    if (statusDetailElement) {
-        statusDetailElement.textContent = 'Processing Disarm Request...';
+function getAreaLabel(area) {
+    if (area === 'master') {
+        return t('area.all');
+    }
+    return area.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+/**
+ * Renders the area selector with the state of each area at a glance
+ * Hidden when Alarmo only has a single area
+ */
+function renderAreaSelector() {
+    const container = document.getElementById('area-selector');
+    if (!container) {
+        return;
     }
     
-    fetch('/api/alarm/updateAlarmState', {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({ mode: 'disarm', code: code })
-    })
-    .then(response => {
-        if (!response.ok) {
-            return response.json().then(data => {
-                throw new Error(data.message || 'Failed to disarm system');
-            });
-        }
-        return response.json();
-    })
-    .then(data => {
-        console.log('Disarm attempt:', data);
-        if (data.success) {
-            playHapticFeedback('success');            
-            // Visual feedback only (state update comes via WebSocket)
-            showNotification('System successfully disarmed', 'success');
-        } else {
-            // Fallback error handling
-            playHapticFeedback('error');
-            playSound('error');
-            showNotification(data.message || 'Failed to disarm system', 'error');
-        }
-    })
-    .catch(error => {
-        console.error('Error disarming system:', error);
-        playHapticFeedback('error');
-        playSound('error');
-        showNotification(error.message || 'Failed to disarm system', 'error');
+    const areas = Object.keys(areaStates);
+    if (areas.length < 2) {
+        container.style.display = 'none';
+        return;
+    }
+    
+    // Master first, then areas alphabetically
+    areas.sort((a, b) => {
+        if (a === 'master') return -1;
+        if (b === 'master') return 1;
+        return a.localeCompare(b);
+    });
+    
+    const activeArea = getSelectedArea();
+    container.innerHTML = '';
+    
+    areas.forEach(area => {
+        const state = areaStates[area];
+        const button = document.createElement('button');
+        button.className = `area-chip area-state-${state}`;
+        button.classList.toggle('selected', area === activeArea);
+        button.dataset.area = area;
         
-        // Reset status detail
-        if (statusDetailElement) {
-            statusDetailElement.textContent = 'System Ready';
-        }
+        // Area names and states come from MQTT, so they are set as text
+        const dot = document.createElement('span');
+        dot.className = 'area-chip-dot';
+        const name = document.createElement('span');
+        name.className = 'area-chip-name';
+        name.textContent = getAreaLabel(area);
+        const stateLabel = document.createElement('span');
+        stateLabel.className = 'area-chip-state';
+        stateLabel.textContent = hasTranslation(`areaState.${state}`) ? t(`areaState.${state}`) : state;
+        
+        button.appendChild(dot);
+        button.appendChild(name);
+        button.appendChild(stateLabel);
+        button.addEventListener('click', () => selectArea(area));
+        container.appendChild(button);
     });
+    
+    container.style.display = 'flex';
 }
 
+//==============================================================================
+// EXIT AND ENTRY DELAY COUNTDOWN
+//==============================================================================
+
 /**
- * Sends an arm request with the specified mode
+ * Turns a delay from the server into one timed by this tablet
+ * The server sends the seconds left, which are counted from the moment the
+ * message arrives so a tablet with its clock off still shows the right time
  * 
- * @param {string} mode - The arming mode (e.g., arm_away, arm_home)
- * @param {string} code - The security code
+ * @param {Object} countdown - Delay details from the server
+ * @param {string} countdown.type - 'exit' or 'entry'
+ * @param {number} countdown.delay - Total delay length in seconds
+ * @param {number} countdown.remaining - Seconds left when the server sent it
+ * @returns {Object|null} { area, type, delay, expiresAt } with expiresAt on the performance.now() clock
  */
-function armSystem(mode, code) {
-    // Show visual feedback that request is processing
-    const statusDetailElement = document.getElementById('status-detail');
-    if (statusDetailElement) {
-        statusDetailElement.textContent = `Processing ${mode === 'arm_home' ? 'Home' : 'Away'} Request...`;
+function receiveCountdown(countdown) {
+    if (!countdown || !(Number(countdown.remaining) > 0)) {
+        return null;
     }
     
-    // Play feedback before sending request
-    playHapticFeedback('medium');
-    
-    fetch('/api/alarm/updateAlarmState', {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({ 
-            mode: mode,
-            code: code
-        })
-    })
-    .then(response => {
-        if (!response.ok) {
-            return response.json().then(data => {
-                throw new Error(data.message || 'Failed to update alarm system');
-            });
-        }
-        return response.json();
-    })
-    .then(data => {
-        console.log(`Arm ${mode} response:`, data);
-        if (data.success) {
-            playHapticFeedback('success');            
-            // Since we may receive state update via WebSocket, we'll only show feedback here
-            showNotification(
-                `System successfully ${mode === 'disarm' ? 'disarmed' : 'armed in ' + mode.replace('arm_', '') + ' mode'}`, 
-                'success'
-            );
-        } else {
-            // This is a fallback since errors should be handled by WebSocket events
-            playHapticFeedback('error');
-            playSound('error');
-            showNotification(data.message || 'Failed to update alarm system', 'error');
-        }
-    })
-    .catch(error => {
-        console.error('Error updating system:', error);
-        playHapticFeedback('error');
-        playSound('error');
-        showNotification(error.message || 'Failed to communicate with alarm system', 'error');
-        
-        // Reset status detail to show we're ready again
-        if (statusDetailElement) {
-            statusDetailElement.textContent = 'System Ready';
-        }
-    });
+    return {
+        area: countdown.area || 'master',
+        type: countdown.type === 'entry' ? 'entry' : 'exit',
+        delay: countdown.delay,
+        expiresAt: performance.now() + Number(countdown.remaining) * 1000
+    };
 }
 
 /**
- * Request PIN for arming or directly arm if code is already available
- * Implements double-press requirement for open sensors as a safety feature
+ * Starts (or resynchronizes) the exit/entry delay countdown ring
+ * The ring sits above the PIN display so the code can be entered while it runs
  * 
- * @param {string} mode - The arming mode to prepare for ('arm_home' or 'arm_away')
- * @param {string} [code] - Optional security code if already available
+ * @param {Object} countdown - A delay from receiveCountdown
  */
-function requestArmWithMode(mode, code = null) {
-    console.log(`Handling arm request for ${mode}`);
+function startCountdown(countdown) {
+    if (!countdown || countdown.expiresAt <= performance.now()) {
+        return;
+    }
     
-    // Store the provided code to preserve it through the double-press flow
-    const providedCode = code;
+    countdownState = {
+        type: countdown.type,
+        delay: countdown.delay,
+        expiresAt: countdown.expiresAt
+    };
     
-    // Check if there are open sensors
-    const openSensorsContainer = document.getElementById('entities-container');
-    const hasOpenSensors = openSensorsContainer && 
-                           openSensorsContainer.style.display !== 'none' && 
-                           openSensorsContainer.children.length > 0;
+    const countdownElement = document.getElementById('countdown');
+    if (countdownElement) {
+        countdownElement.classList.toggle('countdown-entry', countdownState.type === 'entry');
+        countdownElement.style.display = 'flex';
+    }
     
-    // If open sensors are present, require double-press for confirmation
-    if (hasOpenSensors) {
-        // If this is the first press, show warning and set timer
-        if (!armButtonPressed[mode]) {
-            armButtonPressed[mode] = true;
-            
-            // Show warning notification
-            showNotification(
-                'Warning: Sensors are open. Press again to override and arm anyway.', 
-                'warning', 
-                5000
-            );
-            
-            // Add visual indication to the button
-            const buttonId = mode === 'arm_home' ? 'arm-home' : 'arm-away';
-            const button = document.getElementById(buttonId);
-            if (button) {
-                button.classList.add('override-pending');
-                button.style.animation = 'pulse 1.5s infinite';
-            }
-            
-            // Clear after 5 seconds if not pressed again
-            armButtonTimer[mode] = setTimeout(() => {
-                armButtonPressed[mode] = false;
-                const btn = document.getElementById(mode === 'arm_home' ? 'arm-home' : 'arm-away');
-                if (btn) {
-                    btn.classList.remove('override-pending');
-                    btn.style.animation = '';
-                }
-            }, 5000);
-            
-            // IMPORTANT: Don't clear the code, preserve it for the second press!
-            return;
-        } else {
-            // This is the second press, clear the timer and continue with arming
-            clearTimeout(armButtonTimer[mode]);
-            armButtonPressed[mode] = false;
-            
-            // Remove the visual indication
-            const buttonId = mode === 'arm_home' ? 'arm-home' : 'arm-away';
-            const button = document.getElementById(buttonId);
-            if (button) {
-                button.classList.remove('override-pending');
-                button.style.animation = '';
-            }
-            
-            // Continue with arming, but add a notice that we're overriding
-            showNotification('Arming with open sensors (override)', 'info');
-            
-            // Use the original provided code or the current code in the input
-            code = providedCode || (currentCode.length >= 4 ? currentCode : null);
-        }
+    updateCountdownLabel();
+    
+    // Restart the tick loop so a resync doesn't leave two timers running
+    if (countdownTimer) {
+        clearInterval(countdownTimer);
     }
+    countdownLastBeep = -Infinity;
+    countdownTimer = setInterval(updateCountdown, 100);
+    updateCountdown();
     
-    // Always require a code to arm - if no code provided, request one
-    if (!code) {
-        // Request a code
-        playSound('keypad');
-        playHapticFeedback('light');
-        
-        // Set the pending arm mode
-        pendingArmMode = mode;
-        
-        // Clear any existing code only if we're not in the override flow
-        if (!hasOpenSensors || !armButtonPressed[mode]) {
-            currentCode = '';
-            pinLength = 0;
-            updatePinDisplay();
-        }
-        
-        // Update the status detail to show we're waiting for code
-        const statusDetailElement = document.getElementById('status-detail');
-        if (statusDetailElement) {
-            statusDetailElement.textContent = `Enter Code to Arm ${mode === 'arm_home' ? 'Home' : 'Away'}`;
-        }
-                
-        return;
+    // Someone is coming in - make sure they can see the keypad
+    if (countdownState.type === 'entry') {
+        wakeKioskScreen();
     }
+    setKioskKeepAwake(true);
+}
+
+/**
+ * Stops the countdown and hides the ring
+ */
+function stopCountdown() {
+    if (countdownTimer) {
+        clearInterval(countdownTimer);
+        countdownTimer = null;
+    }
+    countdownState = null;
     
-    // Proceed with arming using the provided code
-    armSystem(mode, code);
+    const countdownElement = document.getElementById('countdown');
+    if (countdownElement) {
+        countdownElement.style.display = 'none';
+    }
+    
+    setKioskKeepAwake(false);
 }
 
-//==============================================================================
-// SENSOR MANAGEMENT
-//==============================================================================
+/**
+ * Labels the countdown ring with the kind of delay running
+ */
+function updateCountdownLabel() {
+    const label = document.getElementById('countdown-label');
+    if (label && countdownState) {
+        label.textContent = t(`countdown.${countdownState.type}`);
+    }
+}
 
 /**
- * Fetches multiple entity states from Home Assistant and displays open sensors in status bar
- * 
- * @param {Array<string>} entityIds - Array of entity IDs to fetch
- * @returns {Promise<void>} - Resolves when entities are fetched and displayed
+ * Redraws the countdown ring and plays a beep when one is due
+ * Called on every countdown tick
  */
-async function getAndDisplayEntities(entityIds) {
-    try {
-        // Get the system status bar where we'll show the sensors
-        const systemStatus = document.getElementById('system-status');
-        
-        // Create or get sensor container within the system status
-        let container = document.getElementById('entities-container');
-        if (!container) {
-            container = document.createElement('div');
-            container.id = 'entities-container';
-            container.classList.add('status-sensors');
-            
-            // Add container to the system status bar
-            systemStatus.appendChild(container);
-            
-            // Add some styling for the container
-            const style = document.createElement('style');
-            document.head.appendChild(style);
+function updateCountdown() {
+    if (!countdownState) {
+        return;
+    }
+    
+    const now = performance.now();
+    const remainingMs = Math.max(0, countdownState.expiresAt - now);
+    const remainingSeconds = Math.ceil(remainingMs / 1000);
+    
+    // Update the number and the ring (the ring empties as time runs out)
+    const valueElement = document.getElementById('countdown-value');
+    if (valueElement) {
+        valueElement.textContent = remainingSeconds;
+    }
+    
+    const ring = document.getElementById('countdown-ring-progress');
+    if (ring) {
+        const circumference = 2 * Math.PI * ring.r.baseVal.value;
+        const fraction = countdownState.delay > 0 ? remainingMs / (countdownState.delay * 1000) : 0;
+        ring.style.strokeDasharray = `${circumference}`;
+        ring.style.strokeDashoffset = `${circumference * (1 - Math.min(1, fraction))}`;
+    }
+    
+    const countdownElement = document.getElementById('countdown');
+    if (countdownElement) {
+        countdownElement.classList.toggle('countdown-urgent', remainingSeconds <= 10);
+    }
+    
+    if (remainingMs <= 0) {
+        // Wait for the state change from the server to hide the ring
+        clearInterval(countdownTimer);
+        countdownTimer = null;
+        return;
+    }
+    
+    // Beep faster as the delay runs out
+    if (now - countdownLastBeep >= getCountdownBeepInterval(remainingSeconds)) {
+        countdownLastBeep = now;
+        playSound(remainingSeconds <= 5 ? 'countdown_final' : 'countdown');
+    }
+}
+
+/**
+ * Returns how often the countdown should beep for the time remaining
+ * 
+ * @param {number} remainingSeconds - Seconds left in the delay
+ * @returns {number} Milliseconds between beeps
+ */
+function getCountdownBeepInterval(remainingSeconds) {
+    if (remainingSeconds <= 5) return 250;
+    if (remainingSeconds <= 10) return 500;
+    if (remainingSeconds <= 30) return 1000;
+    return 2000;
+}
+
+//==============================================================================
+// TRIGGERED ALARM VIEW
+//==============================================================================
+
+/**
+ * Switches to the full-screen alarm view while the selected area is triggered
+ * The pinpad stays in the view so the alarm can be disarmed straight away,
+ * and the siren loops while any area is triggered
+ */
+function updateTriggeredView() {
+    const triggered = areaStates[getSelectedArea()] === 'triggered';
+    document.body.classList.toggle('alarm-triggered', triggered);
+    
+    const view = document.getElementById('triggered-view');
+    if (view) {
+        view.style.display = triggered ? 'flex' : 'none';
+    }
+    if (triggered) {
+        renderTriggeredSensors();
+        wakeKioskScreen();
+    }
+    
+    if (Object.values(areaStates).includes('triggered') && keypadSettings.sounds) {
+        startSiren();
+    } else {
+        stopSiren();
+    }
+}
+
+/**
+ * Lists the sensors that tripped the alarm in the alarm view
+ */
+function renderTriggeredSensors() {
+    const container = document.getElementById('triggered-sensors');
+    if (!container) {
+        return;
+    }
+    
+    container.innerHTML = '';
+    const sensors = alarmTrigger ? alarmTrigger.sensors : [];
+    
+    if (sensors.length === 0) {
+        container.textContent = t('triggered.unknownSensor');
+        return;
+    }
+    
+    sensors.forEach(sensor => {
+        const item = document.createElement('div');
+        item.className = 'triggered-sensor';
+        item.innerHTML = '<i class="fas fa-exclamation-circle"></i>';
+        
+        const name = document.createElement('span');
+        name.textContent = getEventSensorName(sensor);
+        item.appendChild(name);
+        container.appendChild(item);
+    });
+}
+
+/**
+ * Starts looping the siren at the configured volume, if it isn't already playing
+ */
+function startSiren() {
+    const buffer = packBuffers.triggered || soundBuffers.siren;
+    if (sirenSource || !buffer) {
+        return;
+    }
+    
+    try {
+        if (audioContext.state === 'suspended') {
+            audioContext.resume().catch(() => {});
+        }
+        
+        const source = audioContext.createBufferSource();
+        source.buffer = buffer;
+        source.loop = true;
+        
+        const gain = audioContext.createGain();
+        gain.gain.value = getSoundVolume('triggered');
+        source.connect(gain);
+        gain.connect(audioContext.destination);
+        source.start(0);
+        
+        sirenSource = source;
+    } catch (e) {
+        console.error('Error playing siren:', e);
+    }
+}
+
+/**
+ * Stops the siren
+ */
+function stopSiren() {
+    if (!sirenSource) {
+        return;
+    }
+    
+    try {
+        sirenSource.stop();
+    } catch (e) {}
+    sirenSource = null;
+}
+
+//==============================================================================
+// IDLE SCREENSAVER
+//==============================================================================
+
+/**
+ * Restarts the idle countdown after user activity
+ * Does nothing when the idle timeout is 0
+ */
+function resetIdleTimer() {
+    clearTimeout(idleTimer);
+    idleTimer = null;
+    
+    if (keypadSettings.idleTimeout > 0 && !isIdle) {
+        idleTimer = setTimeout(enterIdle, keypadSettings.idleTimeout);
+    }
+}
+
+/**
+ * Fades the keypad to the dim clock screen
+ * Any code being entered is thrown away so it can't be finished by someone else
+ */
+function enterIdle() {
+    // Stay awake while the alarm sounds or a delay counts down
+    if (document.body.classList.contains('alarm-triggered') || countdownState) {
+        resetIdleTimer();
+        return;
+    }
+    
+    console.log('Keypad idle - showing screensaver');
+    isIdle = true;
+    
+    currentCode = '';
+    pinLength = 0;
+    pendingArmMode = null;
+    pendingBypassSensors = [];
+    updatePinDisplay();
+    hideBypassSheet();
+    
+    updateIdleScreen();
+    clearInterval(idleClockTimer);
+    idleClockTimer = setInterval(updateIdleScreen, 1000);
+    
+    const screen = document.getElementById('idle-screen');
+    if (screen) {
+        screen.classList.add('active');
+    }
+}
+
+/**
+ * Brings the keypad back from the clock screen and restarts the idle countdown
+ */
+function wakeFromIdle() {
+    if (isIdle) {
+        console.log('Waking keypad');
+        isIdle = false;
+        
+        clearInterval(idleClockTimer);
+        idleClockTimer = null;
+        
+        const screen = document.getElementById('idle-screen');
+        if (screen) {
+            screen.classList.remove('active');
+        }
+        
+        // Someone new may be at the keypad
+        updatePinpadLayout(true);
+    }
+    resetIdleTimer();
+}
+
+/**
+ * Refreshes the clock, date and alarm state on the idle screen
+ */
+function updateIdleScreen() {
+    const now = new Date();
+    const clock = document.getElementById('idle-clock');
+    const date = document.getElementById('idle-date');
+    const state = document.getElementById('idle-state');
+    
+    if (clock) {
+        clock.textContent = now.toLocaleTimeString(currentLocale, { hour: '2-digit', minute: '2-digit' });
+    }
+    if (date) {
+        date.textContent = now.toLocaleDateString(currentLocale, { weekday: 'long', month: 'long', day: 'numeric' });
+    }
+    if (state) {
+        // Mirror the main status so the screensaver reads the same as the keypad
+        const alarmState = document.getElementById('alarm-state');
+        const icon = document.querySelector('#system-status .status-icon i');
+        state.innerHTML = `${icon ? icon.outerHTML : ''}<span></span>`;
+        state.querySelector('span').textContent = alarmState ? alarmState.textContent : '';
+    }
+}
+
+//==============================================================================
+// FULLY KIOSK INTEGRATION
+//==============================================================================
+
+/**
+ * Whether the keypad should drive Fully Kiosk Browser
+ * False in an ordinary browser, where every kiosk function does nothing
+ * 
+ * @returns {boolean}
+ */
+function isKioskEnabled() {
+    return fullyKiosk !== null && keypadSettings.kiosk.enabled;
+}
+
+/**
+ * Starts the kiosk brightness schedule and battery reports
+ * Safe to call again after the settings change
+ */
+function startKioskIntegration() {
+    clearInterval(kioskBrightnessTimer);
+    clearInterval(kioskBatteryTimer);
+    kioskBrightnessTimer = null;
+    kioskBatteryTimer = null;
+    
+    if (!isKioskEnabled()) {
+        return;
+    }
+    
+    console.log('Fully Kiosk Browser detected');
+    
+    // Put back Fully's keepScreenOn if a previous page left it overridden
+    setKioskKeepAwake(countdownState !== null);
+    applyKioskBrightness();
+    kioskBrightnessTimer = setInterval(applyKioskBrightness, 60000);
+    
+    reportKioskStatus();
+    kioskBatteryTimer = setInterval(reportKioskStatus, keypadSettings.kiosk.batteryReportInterval);
+    
+    // Report straight away when the tablet is plugged in or unplugged
+    if (!kioskEventsBound) {
+        try {
+            ['pluggedAC', 'pluggedUSB', 'pluggedWireless', 'unplugged'].forEach(event => {
+                fullyKiosk.bind(event, 'reportKioskStatus();');
+            });
+            kioskEventsBound = true;
+        } catch (e) {
+            console.warn('Could not bind Fully Kiosk events:', e);
+        }
+    }
+}
+
+/**
+ * Sets the screen brightness for the time of day
+ * Full brightness while the alarm needs attention, the night level otherwise at night
+ */
+function applyKioskBrightness() {
+    if (!isKioskEnabled()) {
+        return;
+    }
+    
+    const needsAttention = countdownState !== null || document.body.classList.contains('alarm-triggered');
+    const level = !needsAttention && isKioskNightTime()
+        ? keypadSettings.kiosk.nightBrightness
+        : keypadSettings.kiosk.brightness;
+    
+    try {
+        fullyKiosk.setScreenBrightness(level);
+    } catch (e) {
+        console.warn('Could not set screen brightness:', e);
+    }
+}
+
+/**
+ * Whether the tablet's clock is within the configured night hours
+ * 
+ * @returns {boolean}
+ */
+function isKioskNightTime() {
+    return isWithinHours(keypadSettings.kiosk.nightStart, keypadSettings.kiosk.nightEnd);
+}
+
+/**
+ * Turns the tablet's screen on at full brightness
+ * Used when an entry delay starts or the alarm goes off
+ */
+function wakeKioskScreen() {
+    wakeFromIdle();
+    
+    if (!isKioskEnabled()) {
+        return;
+    }
+    
+    try {
+        fullyKiosk.turnScreenOn();
+    } catch (e) {
+        console.warn('Could not turn the screen on:', e);
+    }
+    applyKioskBrightness();
+}
+
+/**
+ * Keeps the screen on while a countdown runs, then restores Fully's own setting
+ * keepScreenOn is a persistent Fully setting, so its original value is kept in
+ * localStorage and restored by startKioskIntegration if the page reloads or
+ * crashes before the countdown ends
+ * 
+ * @param {boolean} keepAwake - True while a countdown is running
+ */
+function setKioskKeepAwake(keepAwake) {
+    if (!isKioskEnabled()) {
+        return;
+    }
+    
+    try {
+        const saved = localStorage.getItem('kioskKeepScreenOn');
+        if (keepAwake && saved === null) {
+            localStorage.setItem('kioskKeepScreenOn', String(fullyKiosk.getBooleanSetting('keepScreenOn')));
+            fullyKiosk.setBooleanSetting('keepScreenOn', true);
+        } else if (!keepAwake && saved !== null) {
+            fullyKiosk.setBooleanSetting('keepScreenOn', saved === 'true');
+            localStorage.removeItem('kioskKeepScreenOn');
+        } else {
+            return;
+        }
+    } catch (e) {
+        console.warn('Could not change the keep screen on setting:', e);
+    }
+    applyKioskBrightness();
+}
+
+/**
+ * Sends the tablet's battery level and charging state to the server
+ */
+function reportKioskStatus() {
+    if (!isKioskEnabled() || !socket.connected) {
+        return;
+    }
+    
+    try {
+        socket.emit('deviceStatus', {
+            batteryLevel: fullyKiosk.getBatteryLevel(),
+            charging: fullyKiosk.isPlugged()
+        });
+    } catch (e) {
+        console.warn('Could not read the battery state:', e);
+    }
+}
+
+//==============================================================================
+// VOICE ANNOUNCEMENTS
+//==============================================================================
+
+/**
+ * Speaks the phrase for a keypad event with the Web Speech API
+ * Phrases come from the keypad's language (speech.<event>) unless the speech
+ * settings override them; each event also has its own toggle and volume.
+ * Nothing is spoken when announcements are off or the browser has no voice
+ * 
+ * @param {string} event - The event (e.g. 'armed', 'entryDelay', 'wrongCode')
+ * @param {Object} [values] - Values for the phrase's placeholders (e.g. { seconds: 30, count: 30 });
+ *                            count picks the phrase's plural form
+ */
+function announce(event, values = {}) {
+    const speech = keypadSettings.speech;
+    const eventSettings = speech.events[event];
+    if (!speech.enabled || !eventSettings || !eventSettings.enabled || !('speechSynthesis' in window)) {
+        return;
+    }
+    
+    // Overrides are plain phrases; placeholders they don't fill are dropped
+    const phrase = eventSettings.template
+        ? eventSettings.template.replace(/\{(\w+)\}/g, (match, key) => {
+            const value = values[key];
+            if (value === undefined || value === null) {
+                return '';
+            }
+            return Array.isArray(value) ? formatList(value) : String(value);
+        })
+        : t(`speech.${event}`, values);
+    const text = phrase.replace(/\s+/g, ' ').trim();
+    if (!text) {
+        return;
+    }
+    
+    try {
+        const utterance = new SpeechSynthesisUtterance(text);
+        utterance.volume = eventSettings.volume / 100;
+        utterance.rate = speech.rate / 100;
+        // Speak in the keypad's language unless a voice language is set
+        utterance.lang = speech.language || currentLocale;
+        window.speechSynthesis.speak(utterance);
+    } catch (e) {
+        console.error('Error speaking announcement:', e);
+    }
+}
+
+/**
+ * Announces a change of the selected area's state
+ * 
+ * @param {string} state - The new alarm state
+ */
+function announceAlarmState(state) {
+    if (state.startsWith('armed_')) {
+        announce('armed', { mode: getArmModeLabel(state.replace('armed_', 'arm_')).toLowerCase() });
+    } else if (state === 'disarmed') {
+        announce('disarmed');
+    } else if (state === 'triggered') {
+        const sensors = alarmTrigger ? alarmTrigger.sensors : [];
+        announce('triggered', getSensorPhraseValues(sensors.map(getEventSensorName)));
+    }
+}
+
+/**
+ * Returns the phrase placeholders describing a list of sensors
+ * The names are joined the way the keypad's language joins lists when spoken
+ * 
+ * @param {Array<string>} names - Sensor display names
+ * @returns {Object} { sensors: ['Front Door', 'Back Door'], count: 2 }
+ */
+function getSensorPhraseValues(names) {
+    return {
+        sensors: names,
+        count: names.length
+    };
+}
+
+//==============================================================================
+// WRONG-CODE LOCKOUT
+//==============================================================================
+
+/**
+ * Locks the pinpad until the server-side lockout expires
+ * 
+ * @param {Object} lockout - Lockout details from the server
+ * @param {number} lockout.seconds - Seconds left when the server sent it
+ */
+function startLockout(lockout) {
+    // Count from receipt rather than trusting lockedUntil, which is on the server's clock
+    const seconds = Number(lockout.seconds);
+    if (!(seconds > 0)) {
+        return;
+    }
+    const until = Date.now() + seconds * 1000;
+    
+    lockoutUntil = Math.max(lockoutUntil, until);
+    
+    // Drop any code in progress
+    currentCode = '';
+    pinLength = 0;
+    pendingArmMode = null;
+    updatePinDisplay();
+    
+    document.querySelectorAll('.pin-btn, .text-key').forEach(button => {
+        button.disabled = true;
+    });
+    document.body.classList.add('keypad-locked');
+    
+    if (lockoutTimer) {
+        clearInterval(lockoutTimer);
+    }
+    lockoutTimer = setInterval(updateLockout, 1000);
+    updateLockout();
+    const lockoutSeconds = Math.ceil((lockoutUntil - Date.now()) / 1000);
+    announce('lockout', { seconds: lockoutSeconds, count: lockoutSeconds });
+    
+    playSound('error');
+    playHapticFeedback('error');
+}
+
+/**
+ * Updates the lockout banner and unlocks the pinpad once the lockout ends
+ */
+function updateLockout() {
+    const banner = document.getElementById('lockout-banner');
+    const remainingSeconds = Math.ceil((lockoutUntil - Date.now()) / 1000);
+    
+    if (remainingSeconds <= 0) {
+        clearInterval(lockoutTimer);
+        lockoutTimer = null;
+        lockoutUntil = 0;
+        
+        document.querySelectorAll('.pin-btn, .text-key').forEach(button => {
+            button.disabled = false;
+        });
+        document.body.classList.remove('keypad-locked');
+        
+        if (banner) {
+            banner.style.display = 'none';
+        }
+        return;
+    }
+    
+    if (banner) {
+        banner.style.display = 'flex';
+        const text = document.getElementById('lockout-text');
+        if (text) {
+            text.textContent = t('lockout.text', { seconds: remainingSeconds, count: remainingSeconds });
+        }
+    }
+}
+
+/**
+ * Whether the keypad is currently locked out
+ * 
+ * @returns {boolean}
+ */
+function isLockedOut() {
+    return Date.now() < lockoutUntil;
+}
+
+//==============================================================================
+// PIN ENTRY AND ALARM CONTROL
+//==============================================================================
+
+/**
+ * Handles keypad button clicks for code entry
+ * Processes button presses and updates PIN display
+ * 
+ * @param {string} key - The key that was pressed
+ */
+function handleKeyPress(key) {
+    // Ignore the pinpad while locked out after too many wrong codes
+    if (isLockedOut()) {
+        playSound('error');
+        playHapticFeedback('error');
+        return;
+    }
+    
+    // Play feedback for all key presses
+    playSound('keypad');
+    playHapticFeedback('light');
+    
+    if (key === 'shift') {
+        // Switch the on-screen text keyboard between lower and upper case
+        toggleTextKeyboardShift();
+    } else if (key === 'clear') {
+        // Clear the code
+        currentCode = '';
+        pinLength = 0;
+        updatePinDisplay();
+        updatePinpadLayout(true);
+    } else if (key === 'enter') {
+        // Play different feedback for enter key
+        playHapticFeedback('medium');
+        
+        if (currentCode) {
+            if (pendingArmMode) {
+                // We have a pending arm operation
+                armSystem(pendingArmMode, currentCode, pendingBypassSensors);
+                pendingArmMode = null; // Reset pending mode
+                pendingBypassSensors = [];
+            } else {
+                // Default is to disarm with the code
+                disarmWithCode(currentCode);
+            }
+        }
+        
+        currentCode = '';
+        pinLength = 0;
+        updatePinDisplay();
+        updatePinpadLayout(true);
+    } else {
+        // Add the character to the current code, up to the alarm's code length
+        if (pinLength < getMaxCodeLength()) {
+            currentCode += key;
+            pinLength++;
+            updatePinDisplay();
+        } else {
+            // Play error sound if trying to add more characters than the code can have
+            playSound('error');
+            playHapticFeedback('error');
+        }
+    }
+}
+
+/**
+ * Sends a disarm request with the provided code
+ * 
+ * @param {string} code - The disarm code
+ */
+function disarmWithCode(code) {
+    // Show visual feedback that request is processing
+    const statusDetailElement = document.getElementById('status-detail');
+    if (statusDetailElement) {
+        statusDetailElement.textContent = t('detail.processingDisarm');
+    }
+    
+    apiFetch('/api/alarm/updateAlarmState', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'X-Keypad-Id': keypadId
+        },
+        body: JSON.stringify({ mode: 'disarm', code: code, area: getSelectedArea() })
+    })
+    .then(response => {
+        if (!response.ok) {
+            return response.json().then(data => {
+                if (data.event === 'INVALID_CODE_PROVIDED') {
+                    announce('wrongCode');
+                }
+                if (data.lockout) {
+                    startLockout(data.lockout);
+                }
+                throw new Error(getResponseMessage(data, 'error.disarmFailed'));
+            });
+        }
+        return response.json();
+    })
+    .then(data => {
+        console.log('Disarm attempt:', data);
+        if (data.success) {
+            playHapticFeedback('success');            
+            // Visual feedback only (state update comes via WebSocket)
+            showNotification(t('notify.disarmed'), 'success');
+        } else {
+            // Fallback error handling
+            playHapticFeedback('error');
+            playSound('error');
+            showNotification(getResponseMessage(data, 'error.disarmFailed'), 'error');
+        }
+    })
+    .catch(error => {
+        console.error('Error disarming system:', error);
+        playHapticFeedback('error');
+        playSound('error');
+        showNotification(error.message || t('error.disarmFailed'), 'error');
+        
+        // Reset status detail
+        if (statusDetailElement) {
+            statusDetailElement.textContent = t('detail.disarmed');
+        }
+    });
+}
+
+/**
+ * Sends an arm request with the specified mode
+ * 
+ * @param {string} mode - The arming mode (e.g., arm_away, arm_home)
+ * @param {string} code - The security code
+ * @param {Array<string>} [bypassSensors] - Open sensors to arm past; any at all forces past every open sensor
+ */
+function armSystem(mode, code, bypassSensors = []) {
+    // Show visual feedback that request is processing
+    const statusDetailElement = document.getElementById('status-detail');
+    if (statusDetailElement) {
+        statusDetailElement.textContent = t('detail.processingArm', { mode: getArmModeLabel(mode) });
+    }
+    
+    // Play feedback before sending request
+    playHapticFeedback('medium');
+    
+    lastArmRequest = { mode: mode, code: code };
+    
+    apiFetch('/api/alarm/updateAlarmState', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'X-Keypad-Id': keypadId
+        },
+        body: JSON.stringify({ 
+            mode: mode,
+            code: code,
+            area: getSelectedArea(),
+            force: bypassSensors.length > 0,
+            // The server only accepts watched sensors; Alarmo forces past the rest all the same
+            bypassSensors: bypassSensors.filter(entityId => sensorEntityIds.includes(entityId))
+        })
+    })
+    .then(response => {
+        if (!response.ok) {
+            return response.json().then(data => {
+                if (data.event === 'INVALID_CODE_PROVIDED') {
+                    announce('wrongCode');
+                }
+                if (data.lockout) {
+                    startLockout(data.lockout);
+                }
+                
+                // Offer to retry past the sensors that stopped Alarmo arming
+                if (data.event === 'FAILED_TO_ARM' && data.sensors && data.sensors.length > 0) {
+                    showArmFailedSheet(data.sensors);
+                    return null;
+                }
+                
+                lastArmRequest = null;
+                throw new Error(getResponseMessage(data, 'error.updateFailed'));
+            });
+        }
+        return response.json();
+    })
+    .then(data => {
+        // Already answered with the retry sheet
+        if (!data) {
+            if (statusDetailElement) {
+                statusDetailElement.textContent = t('detail.disarmed');
+            }
+            return;
+        }
+        
+        console.log(`Arm ${mode} response:`, data);
+        lastArmRequest = null;
+        if (data.success) {
+            playHapticFeedback('success');            
+            // Since we may receive state update via WebSocket, we'll only show feedback here
+            const bypassCount = (data.bypassedSensors || []).length;
+            showNotification(
+                t(bypassCount > 0 ? 'notify.armedBypassed' : 'notify.armed', {
+                    mode: getArmModeLabel(mode).toLowerCase(),
+                    count: bypassCount
+                }),
+                'success'
+            );
+        } else {
+            // This is a fallback since errors should be handled by WebSocket events
+            playHapticFeedback('error');
+            playSound('error');
+            showNotification(getResponseMessage(data, 'error.updateFailed'), 'error');
+        }
+    })
+    .catch(error => {
+        console.error('Error updating system:', error);
+        playHapticFeedback('error');
+        playSound('error');
+        showNotification(error.message || t('error.communicationFailed'), 'error');
+        
+        // Reset status detail to show we're ready again
+        if (statusDetailElement) {
+            statusDetailElement.textContent = t('detail.disarmed');
+        }
+    });
+}
+
+/**
+ * Request PIN for arming or directly arm if code is already available
+ * When sensors are open, the bypass sheet is shown first so the user can
+ * choose to arm anyway
+ * 
+ * @param {string} mode - The arming mode to prepare for (e.g., 'arm_home', 'arm_night')
+ * @param {string} [code] - Optional security code if already available
+ * @param {Array<string>} [bypassSensors] - Open sensors to arm past; null to ask
+ */
+function requestArmWithMode(mode, code = null, bypassSensors = null) {
+    console.log(`Handling arm request for ${mode}`);
+    
+    // Let the user choose whether to arm past the open sensors
+    if (bypassSensors === null && getOpenSensors().length > 0) {
+        showBypassSheet(mode, code);
+        return;
+    }
+    
+    // Always require a code to arm - if no code provided, request one
+    if (!code) {
+        // Request a code
+        playSound('keypad');
+        playHapticFeedback('light');
+        
+        // Set the pending arm mode
+        pendingArmMode = mode;
+        pendingBypassSensors = bypassSensors || [];
+        
+        currentCode = '';
+        pinLength = 0;
+        updatePinDisplay();
+        
+        // Update the status detail to show we're waiting for code
+        const statusDetailElement = document.getElementById('status-detail');
+        if (statusDetailElement) {
+            statusDetailElement.textContent = t('detail.enterCodeToArm', { mode: getArmModeLabel(mode) });
+        }
+                
+        return;
+    }
+    
+    // Proceed with arming using the provided code
+    armSystem(mode, code, bypassSensors || []);
+}
+
+/**
+ * Handles arm button press logic (shared between touch and click events)
+ * @param {string} mode - The arming mode (e.g., 'arm_home', 'arm_night')
+ */
+function handleArmButtonPress(mode) {
+    console.log(`${mode} button pressed`);
+    
+    if (isLockedOut()) {
+        playSound('error');
+        playHapticFeedback('error');
+        return;
+    }
+    
+    // Use a code already typed in, otherwise ask for one
+    if (currentCode && isCodeComplete()) {
+        const codeToUse = currentCode;
+        currentCode = '';
+        pinLength = 0;
+        updatePinDisplay();
+        updatePinpadLayout(true);
+        requestArmWithMode(mode, codeToUse);
+    } else {
+        requestArmWithMode(mode);
+    }
+}
+
+/**
+ * Wires up touch and click handlers for an arm button
+ * Optimized for Android touch response with a click fallback
+ * 
+ * @param {HTMLElement} button - The arm button element
+ * @param {string} mode - The arming mode the button triggers
+ */
+function bindArmButton(button, mode) {
+    // Use touchstart for immediate response on touch devices
+    button.addEventListener('touchstart', function(e) {
+        e.preventDefault();
+        this.classList.add('active');
+        handleArmButtonPress(mode);
+    }, { passive: false });
+    
+    // Clean up on touch end
+    button.addEventListener('touchend', function(e) {
+        e.preventDefault();
+        this.classList.remove('active');
+    }, { passive: false });
+    
+    // Click fallback for non-touch devices or when touch fails
+    button.addEventListener('click', function(e) {
+        // Only process if not triggered by touch event
+        if (e.detail !== 0) {
+            handleArmButtonPress(mode);
+        }
+    });
+    
+    // Prevent context menu
+    button.addEventListener('contextmenu', function(e) {
+        e.preventDefault();
+    });
+}
+
+//==============================================================================
+// OPEN SENSOR BYPASS
+//==============================================================================
+
+/**
+ * Shows the bypass sheet listing the open sensors
+ * Arming from the sheet forces Alarmo past every open sensor - it can't bypass
+ * only some of them. The sheet closes by itself after the configured bypass timeout
+ * 
+ * @param {string} mode - The arming mode requested
+ * @param {string} [code] - Security code already entered, if any
+ * @param {Array<Object>} [failedSensors] - Sensors Alarmo refused to arm with, as { entity_id, name };
+ *                                          lists these for a retry instead of the open sensors
+ */
+function showBypassSheet(mode, code = null, failedSensors = null) {
+    const sheet = document.getElementById('bypass-sheet');
+    const list = document.getElementById('bypass-sensor-list');
+    const confirmButton = document.getElementById('bypass-confirm');
+    const cancelButton = document.getElementById('bypass-cancel');
+    if (!sheet || !list || !confirmButton || !cancelButton) {
+        return;
+    }
+    
+    if (failedSensors) {
+        playSound('error');
+        playHapticFeedback('error');
+    } else {
+        playSound('action');
+        playHapticFeedback('medium');
+    }
+    
+    const sensors = failedSensors || getOpenSensors().map(entity => ({ entity_id: entity.entity_id, name: getSensorName(entity) }));
+    announce(failedSensors ? 'armFailed' : 'openSensors', getSensorPhraseValues(sensors.map(getEventSensorName)));
+    
+    list.innerHTML = '';
+    sensors.forEach(sensor => {
+        const row = document.createElement('div');
+        row.className = 'bypass-sensor';
+        
+        const icon = document.createElement('i');
+        icon.className = 'fas fa-eye-slash bypass-sensor-icon';
+        
+        const name = document.createElement('span');
+        name.className = 'bypass-sensor-name';
+        name.textContent = getEventSensorName(sensor);
+        
+        row.appendChild(icon);
+        row.appendChild(name);
+        list.appendChild(row);
+    });
+    
+    const modeLabel = { mode: getArmModeLabel(mode) };
+    document.getElementById('bypass-title').textContent = t(failedSensors ? 'bypass.titleFailed' : 'bypass.titleOpen', modeLabel);
+    document.getElementById('bypass-hint').textContent = t(failedSensors ? 'bypass.hintFailed' : 'bypass.hintOpen');
+    confirmButton.querySelector('span').textContent = t(failedSensors ? 'bypass.retry' : 'bypass.arm', modeLabel);
+    
+    // Replace the handlers from any previous sheet
+    confirmButton.onclick = () => {
+        hideBypassSheet();
+        requestArmWithMode(mode, code, sensors.map(sensor => sensor.entity_id));
+    };
+    cancelButton.onclick = () => {
+        hideBypassSheet();
+        playSound('keypad');
+    };
+    
+    sheet.style.display = 'flex';
+    restartBypassSheetTimer();
+}
+
+/**
+ * Shows the sensors that stopped Alarmo arming, with a one-tap retry past them
+ * Called for both the updateAlarmState response and the alarmUpdateError event,
+ * so it only opens once per arm request
+ * 
+ * @param {Array<Object>} sensors - The blocking sensors as { entity_id, name }
+ */
+function showArmFailedSheet(sensors) {
+    if (!lastArmRequest || lastArmRequest.failureShown) {
+        return;
+    }
+    
+    lastArmRequest.failureShown = true;
+    showBypassSheet(lastArmRequest.mode, lastArmRequest.code, sensors);
+}
+
+/**
+ * Hides the bypass sheet without arming
+ */
+function hideBypassSheet() {
+    clearTimeout(bypassSheetTimer);
+    bypassSheetTimer = null;
+    
+    // Don't keep a code for a retry that can no longer happen
+    lastArmRequest = null;
+    
+    const sheet = document.getElementById('bypass-sheet');
+    if (sheet) {
+        sheet.style.display = 'none';
+    }
+}
+
+/**
+ * (Re)starts the timer that closes an untouched bypass sheet
+ */
+function restartBypassSheetTimer() {
+    clearTimeout(bypassSheetTimer);
+    bypassSheetTimer = setTimeout(hideBypassSheet, keypadSettings.bypassSensorsTimeout);
+}
+
+/**
+ * Shows which sensors were open when the selected area was armed
+ * These are the sensors Alarmo reported forcing past, or the watched sensors
+ * the keypad saw open when Alarmo didn't list them
+ */
+function displayBypassedSensors() {
+    const container = document.getElementById('bypassed-sensors');
+    if (!container) {
+        return;
+    }
+    
+    if (bypassedSensors.length === 0 || currentAlarmState === 'disarmed') {
+        container.style.display = 'none';
+        return;
+    }
+    
+    const names = bypassedSensors.map(getEventSensorName);
+    
+    // Names are set as text so nothing broadcast by the server can inject markup
+    const icon = document.createElement('i');
+    icon.className = 'fas fa-eye-slash';
+    container.innerHTML = '';
+    container.appendChild(icon);
+    container.appendChild(document.createTextNode(t('bypass.openWhenArmed', { sensors: names, count: names.length })));
+    container.style.display = 'flex';
+}
+
+//==============================================================================
+// CODE FORMAT AND TEXT KEYBOARD
+//==============================================================================
+
+/**
+ * Returns the most characters a code can have
+ * 
+ * @returns {number} The fixed code length, or the maximum when the length varies
+ */
+function getMaxCodeLength() {
+    return codeSettings.length || codeSettings.maxLength;
+}
+
+/**
+ * Checks whether the code typed so far is long enough to send
+ * 
+ * @returns {boolean} True when a fixed-length code is full, or any code has been typed otherwise
+ */
+function isCodeComplete() {
+    return codeSettings.length ? pinLength >= codeSettings.length : pinLength > 0;
+}
+
+/**
+ * Applies the alarm's code format, switching between the pinpad and the text keyboard
+ * 
+ * @param {Object} settings - Code settings from the server
+ * @param {string} settings.format - 'number' or 'text'
+ * @param {number|null} settings.length - Fixed code length, or null for any length
+ * @param {number} settings.maxLength - Longest code accepted when the length varies
+ */
+function applyCodeSettings(settings) {
+    codeSettings = { ...codeSettings, ...settings };
+    
+    // Drop any code typed under the old format
+    currentCode = '';
+    pinLength = 0;
+    updatePinDisplay();
+    
+    const pinpad = document.getElementById('pinpad');
+    const textKeyboard = document.getElementById('text-keyboard');
+    const useText = codeSettings.format === 'text';
+    
+    if (useText && textKeyboard && textKeyboard.children.length === 0) {
+        renderTextKeyboard();
+    }
+    if (pinpad) {
+        pinpad.style.display = useText ? 'none' : '';
+    }
+    if (textKeyboard) {
+        textKeyboard.style.display = useText ? '' : 'none';
+    }
+}
+
+/**
+ * Builds the on-screen keyboard for alphanumeric codes
+ * Keys use the same data-key handling as the pinpad
+ */
+function renderTextKeyboard() {
+    const container = document.getElementById('text-keyboard');
+    if (!container) {
+        return;
+    }
+    
+    container.innerHTML = '';
+    
+    TEXT_KEYBOARD_ROWS.forEach(row => {
+        const rowElement = document.createElement('div');
+        rowElement.className = 'text-keyboard-row';
+        
+        row.forEach(key => {
+            const button = document.createElement('button');
+            button.className = `text-key key text-key-${/^[a-z0-9]$/.test(key) ? 'char' : key}`;
+            button.dataset.key = key;
+            
+            switch (key) {
+                case 'shift':
+                    button.innerHTML = '<i class="fas fa-arrow-up" aria-hidden="true"></i>';
+                    button.dataset.i18nLabel = 'a11y.shift';
+                    break;
+                case 'clear':
+                    button.innerHTML = '<i class="fas fa-backspace" aria-hidden="true"></i>';
+                    button.dataset.i18nLabel = 'a11y.clear';
+                    break;
+                case 'enter':
+                    button.innerHTML = '<i class="fas fa-check" aria-hidden="true"></i>';
+                    button.dataset.i18nLabel = 'a11y.enter';
+                    break;
+                default:
+                    button.textContent = key;
+            }
+            
+            if (button.dataset.i18nLabel) {
+                button.setAttribute('aria-label', t(button.dataset.i18nLabel));
+            }
+            
+            bindKeyButton(button);
+            rowElement.appendChild(button);
+        });
+        
+        container.appendChild(rowElement);
+    });
+    
+    textKeyboardShift = false;
+}
+
+/**
+ * Switches the letter keys of the text keyboard between lower and upper case
+ */
+function toggleTextKeyboardShift() {
+    textKeyboardShift = !textKeyboardShift;
+    
+    document.querySelectorAll('#text-keyboard .text-key-char').forEach(button => {
+        const key = textKeyboardShift ? button.dataset.key.toUpperCase() : button.dataset.key.toLowerCase();
+        button.dataset.key = key;
+        button.textContent = key;
+    });
+    
+    const shiftButton = document.querySelector('#text-keyboard .text-key-shift');
+    if (shiftButton) {
+        shiftButton.classList.toggle('shift-on', textKeyboardShift);
+    }
+}
+
+/**
+ * Wires up touch and click handlers for a pinpad or text keyboard key
+ * Optimized for fast touch response on Android with a click fallback
+ * 
+ * @param {HTMLElement} button - The key element, with its key in data-key
+ */
+function bindKeyButton(button) {
+    // Use touchstart for immediate response on Android
+    button.addEventListener('touchstart', function(e) {
+        e.preventDefault(); // Prevent mouse events
+        this.classList.add('active');
+        
+        // Immediate key processing for faster response
+        const key = this.dataset.key;
+        handleKeyPress(key);
+    }, { passive: false });
+    
+    // Clean up active state on touchend
+    button.addEventListener('touchend', function(e) {
+        e.preventDefault();
+        this.classList.remove('active');
+    }, { passive: false });
+    
+    // Keep click handler as fallback for non-touch devices
+    button.addEventListener('click', function(e) {
+        // Only process if no touch events fired
+        if (e.detail === 0) return; // Skip if triggered by touch
+        const key = this.dataset.key;
+        handleKeyPress(key);
+    });
+    
+    // Prevent context menu on long press
+    button.addEventListener('contextmenu', function(e) {
+        e.preventDefault();
+    });
+}
+
+//==============================================================================
+// SCRAMBLED PINPAD
+//==============================================================================
+
+/**
+ * Shuffles or restores the pinpad digits for the current alarm state
+ * In the states listed in keypadSettings.scrambleStates every code entry gets a
+ * new layout, so smudges and onlookers don't give the code away. Each button's
+ * data-key moves with its digit, so handleKeyPress works the same either way
+ * 
+ * @param {boolean} [reshuffle=false] - A new code entry is starting, so shuffle again
+ */
+function updatePinpadLayout(reshuffle = false) {
+    // Never move the digits under someone's fingers part way through a code
+    if (pinLength > 0) {
+        return;
+    }
+    
+    if (!keypadSettings.scrambleStates.includes(currentAlarmState)) {
+        if (scrambledState !== null) {
+            setPinpadDigits(PINPAD_DIGITS);
+            scrambledState = null;
+        }
+        return;
+    }
+    
+    // A state change (e.g. after a disarm) also starts a fresh layout
+    if (reshuffle || scrambledState !== currentAlarmState) {
+        setPinpadDigits(shuffleDigits(PINPAD_DIGITS));
+        scrambledState = currentAlarmState;
+    }
+}
+
+/**
+ * Puts digits on the pinpad's digit buttons in order, leaving clear and enter in place
+ * 
+ * @param {Array<string>} digits - The ten digits, left to right and top to bottom
+ */
+function setPinpadDigits(digits) {
+    const buttons = Array.from(document.querySelectorAll('#pinpad .pin-btn'))
+        .filter(button => /^[0-9]$/.test(button.dataset.key));
+    
+    buttons.forEach((button, index) => {
+        button.dataset.key = digits[index];
+        button.textContent = digits[index];
+    });
+}
+
+/**
+ * Returns the digits in a random order
+ * Uses the browser's cryptographic random numbers so the layout can't be predicted
+ * 
+ * @param {Array<string>} digits - The digits to shuffle
+ * @returns {Array<string>} A shuffled copy
+ */
+function shuffleDigits(digits) {
+    const shuffled = [...digits];
+    const random = new Uint32Array(shuffled.length);
+    crypto.getRandomValues(random);
+    
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = random[i] % (i + 1);
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
+
+//==============================================================================
+// KEYBOARD AND ACCESSIBILITY
+//==============================================================================
+
+/**
+ * Routes physical keyboard and USB numpad keys through the on-screen keypad
+ * Digits (and letters, for text codes) type the code, Backspace, Delete and Escape
+ * clear it, Enter sends it, and the numpad's / * - + . keys press the arm buttons.
+ * Enter or Space on a focused keypad button presses that button
+ * 
+ * @param {KeyboardEvent} event - The keydown event
+ */
+function handleKeyboardInput(event) {
+    // A key that wakes the screensaver only wakes it, like a tap
+    if (isIdle || event.repeat || event.ctrlKey || event.metaKey || event.altKey) {
+        return;
+    }
+    
+    // Leave form fields, the pairing screen and the bypass sheet to the browser
+    const target = event.target;
+    if (target.closest && target.closest('input, select, textarea')) {
+        return;
+    }
+    if (['bypass-sheet', 'pairing-screen'].some(id => {
+        const element = document.getElementById(id);
+        return element && element.style.display !== 'none';
+    })) {
+        return;
+    }
+    
+    if ((event.key === 'Enter' || event.key === ' ') && target.matches && target.matches('.key, .action-btn')) {
+        event.preventDefault();
+        if (target.dataset.key) {
+            handleKeyPress(target.dataset.key);
         } else {
-            // Clear existing content
-            container.innerHTML = '';
+            handleArmButtonPress(target.dataset.mode);
+        }
+        return;
+    }
+    
+    const key = getKeypadKey(event);
+    if (key) {
+        event.preventDefault();
+        handleKeyPress(key);
+        return;
+    }
+    
+    // Arm shortcuts only work while the button is on screen
+    const mode = armModes.find(armMode => ARM_MODE_DEFINITIONS[armMode].shortcut === event.key);
+    const button = mode ? document.getElementById(getArmButtonId(mode)) : null;
+    if (button && button.style.display !== 'none') {
+        event.preventDefault();
+        handleArmButtonPress(mode);
+    }
+}
+
+/**
+ * Maps a keyboard event to the keypad key it stands for
+ * 
+ * @param {KeyboardEvent} event - The keydown event
+ * @returns {string|null} A data-key value (e.g. '5', 'clear', 'enter'), or null for other keys
+ */
+function getKeypadKey(event) {
+    // Numpad digits report as arrow and page keys with Num Lock off, so go by the physical key
+    const numpadDigit = /^Numpad(\d)$/.exec(event.code || '');
+    if (numpadDigit) {
+        return numpadDigit[1];
+    }
+    
+    switch (event.key) {
+        case 'Enter':
+            return 'enter';
+        case 'Backspace':
+        case 'Delete':
+        case 'Escape':
+            return 'clear';
+    }
+    
+    const pattern = codeSettings.format === 'text' ? /^[a-zA-Z0-9]$/ : /^[0-9]$/;
+    return pattern.test(event.key) ? event.key : null;
+}
+
+/**
+ * Reads a message out to screen readers through the ARIA live regions
+ * 
+ * @param {string} message - The message
+ * @param {boolean} [urgent=false] - Interrupt whatever is being read (alarms and errors)
+ */
+function announceLive(message, urgent = false) {
+    const region = document.getElementById(urgent ? 'live-alert' : 'live-status');
+    if (!region || !message) {
+        return;
+    }
+    
+    // Clear first so the same message is read again when it repeats
+    region.textContent = '';
+    setTimeout(() => {
+        region.textContent = message;
+    }, 100);
+}
+
+/**
+ * Switches large-target mode on or off
+ * The keypad's own choice wins over the server's keypad.largeTargets setting
+ */
+function applyLargeTargets() {
+    const enabled = keypadLargeTargets !== null ? keypadLargeTargets : keypadSettings.largeTargets;
+    document.body.classList.toggle('large-targets', Boolean(enabled));
+}
+
+//==============================================================================
+// CONNECTION HEALTH
+//==============================================================================
+
+/**
+ * Shows or hides the degraded-mode banner from the server's connection health
+ * The banner names what can't be reached and how old the last alarm state is
+ */
+function updateHealthBanner() {
+    const banner = document.getElementById('health-banner');
+    const text = document.getElementById('health-text');
+    if (!banner || !text) {
+        return;
+    }
+    
+    let message = null;
+    if (!serverConnected) {
+        message = t('health.serverUnreachable');
+    } else if (serverHealth && !serverHealth.components.mqtt.healthy) {
+        message = t('health.alarmUnreachable');
+    } else if (serverHealth && (!serverHealth.components.homeAssistantApi.healthy || !serverHealth.components.homeAssistantSocket.healthy)) {
+        message = t('health.homeAssistantUnreachable');
+    }
+    
+    if (!message) {
+        banner.style.display = 'none';
+        clearInterval(healthBannerTimer);
+        healthBannerTimer = null;
+        return;
+    }
+    
+    text.textContent = message;
+    banner.style.display = 'flex';
+    updateHealthAge();
+    
+    // Keep the age of the last state current while the banner is up
+    if (!healthBannerTimer) {
+        healthBannerTimer = setInterval(updateHealthAge, 10000);
+    }
+}
+
+/**
+ * Updates the banner's "last update" line from the last state Alarmo reported
+ */
+function updateHealthAge() {
+    const ageElement = document.getElementById('health-age');
+    if (!ageElement) {
+        return;
+    }
+    
+    const lastStateAt = serverHealth && serverHealth.lastStateAt ? new Date(serverHealth.lastStateAt).getTime() : null;
+    ageElement.textContent = lastStateAt
+        ? t('health.lastUpdate', { age: formatAge(Date.now() - lastStateAt) })
+        : t('health.noUpdate');
+}
+
+/**
+ * Formats a duration as a short "ago" phrase in the keypad's language
+ * 
+ * @param {number} milliseconds - The age
+ * @returns {string} e.g. "just now", "5 min. ago", "2 hr. ago"
+ */
+function formatAge(milliseconds) {
+    const minutes = Math.floor(milliseconds / 60000);
+    if (minutes < 1) return t('health.justNow');
+    
+    const format = new Intl.RelativeTimeFormat(currentLocale, { style: 'short' });
+    if (minutes < 60) return format.format(-minutes, 'minute');
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return format.format(-hours, 'hour');
+    return format.format(-Math.floor(hours / 24), 'day');
+}
+
+//==============================================================================
+// DEVICE PAIRING
+//==============================================================================
+
+/**
+ * Calls the keypad API with this keypad's device token
+ * A 401 means the keypad isn't (or is no longer) paired, so the pairing screen is shown
+ * 
+ * @param {string} url - The API URL
+ * @param {Object} [options] - fetch options
+ * @returns {Promise<Response>} The fetch response
+ */
+function apiFetch(url, options = {}) {
+    const headers = { ...(options.headers || {}) };
+    const deviceToken = localStorage.getItem('deviceToken');
+    if (deviceToken) {
+        headers['Authorization'] = `Bearer ${deviceToken}`;
+    }
+    
+    return fetch(url, { ...options, headers }).then(response => {
+        if (response.status === 401) {
+            showPairingScreen();
+        }
+        return response;
+    });
+}
+
+/**
+ * Shows the pairing screen and asks the server for a pairing code
+ * The screen stays up until an admin approves the code
+ */
+function showPairingScreen() {
+    const screen = document.getElementById('pairing-screen');
+    if (!screen || screen.style.display === 'flex') {
+        return;
+    }
+    
+    localStorage.removeItem('deviceToken');
+    screen.style.display = 'flex';
+    requestPairingCode();
+}
+
+/**
+ * Requests a new pairing code and starts waiting for approval
+ */
+function requestPairingCode() {
+    const codeElement = document.getElementById('pairing-code');
+    const statusElement = document.getElementById('pairing-status');
+    
+    fetch('/api/devices/pair', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ keypadId: keypadId })
+    })
+    .then(response => response.json().then(data => {
+        if (!response.ok) {
+            throw new Error(t('pairing.failed'));
+        }
+        return data;
+    }))
+    .then(pairing => {
+        console.log('Pairing code issued, waiting for approval');
+        if (codeElement) {
+            codeElement.textContent = pairing.code;
+        }
+        if (statusElement) {
+            statusElement.textContent = t('pairing.waiting');
+        }
+        
+        clearInterval(pairingPollTimer);
+        pairingPollTimer = setInterval(() => checkPairing(pairing.pairingId), 3000);
+    })
+    .catch(error => {
+        console.error('Error requesting pairing code:', error);
+        if (statusElement) {
+            statusElement.textContent = error.message;
         }
         
+        // Try again shortly
+        clearInterval(pairingPollTimer);
+        pairingPollTimer = setTimeout(() => {
+            pairingPollTimer = null;
+            requestPairingCode();
+        }, 30000);
+    });
+}
+
+/**
+ * Checks whether the pairing has been approved and stores the device token when it has
+ * 
+ * @param {string} pairingId - The pairing ID issued with the code
+ */
+function checkPairing(pairingId) {
+    fetch(`/api/devices/pair/${encodeURIComponent(pairingId)}`)
+        .then(response => response.json())
+        .then(result => {
+            if (result.status === 'approved' && result.token) {
+                clearInterval(pairingPollTimer);
+                localStorage.setItem('deviceToken', result.token);
+                
+                // Reload so every request and the socket start again with the token
+                window.location.reload();
+            } else if (result.status === 'expired') {
+                clearInterval(pairingPollTimer);
+                requestPairingCode();
+            }
+        })
+        .catch(error => {
+            console.error('Error checking pairing:', error);
+        });
+}
+
+//==============================================================================
+// SENSOR MANAGEMENT
+//==============================================================================
+
+/**
+ * Fetches multiple entity states from Home Assistant and displays open sensors in status bar
+ * Later changes arrive through the sensorStateChanged WebSocket event
+ * 
+ * @param {Array<string>} entityIds - Array of entity IDs to fetch
+ * @returns {Promise<void>} - Resolves when entities are fetched and displayed
+ */
+async function getAndDisplayEntities(entityIds) {
+    try {
+        sensorEntityIds = entityIds;
+        
         // Use our backend API to fetch entity states
-        const response = await fetch('/api/sensors/getStates', {
+        const response = await apiFetch('/api/sensors/getStates', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
@@ -858,96 +3010,14 @@ async function getAndDisplayEntities(entityIds) {
         
         const results = await response.json();
         
-        // Track if there are open sensors for the arm button warning
-        let openSensorsPresent = false;
-        
-        // Process and display each entity
         if (results && results.entities) {
-            // Only show triggered sensors
-            const openSensors = results.entities.filter(entity => entity.state === 'on');
-            openSensorsPresent = openSensors.length > 0;
-            
-            if (openSensors.length > 0) {
-                // Sort sensors by type - doors first, then other types
-                openSensors.sort((a, b) => {
-                    const typeA = a.attributes.device_class || '';
-                    const typeB = b.attributes.device_class || '';
-                    
-                    // Doors and windows first
-                    if ((typeA === 'door' || typeA === 'window') && 
-                        !(typeB === 'door' || typeB === 'window')) {
-                        return -1;
-                    }
-                    if ((typeB === 'door' || typeB === 'window') && 
-                        !(typeA === 'door' || typeA === 'window')) {
-                        return 1;
-                    }
-                    
-                    // Then sort by name
-                    const nameA = a.attributes.friendly_name || a.entity_id;
-                    const nameB = b.attributes.friendly_name || b.entity_id;
-                    return nameA.localeCompare(nameB);
-                });
-                
-                // Add count badge for multiple sensors
-                if (openSensors.length > 1) {
-                    const countBadge = document.createElement('div');
-                    countBadge.classList.add('sensor-badge');
-                    countBadge.innerHTML = `<i class="fa-solid fa-triangle-exclamation"></i>${openSensors.length} Open`;
-                    container.appendChild(countBadge);
-                }
-                
-                // Apply scrolling if many sensors
-                if (openSensors.length > 3) {
-                    container.classList.add('many-sensors');
-                } else {
-                    container.classList.remove('many-sensors');
-                }
-                
-                // Add each sensor badge
-                openSensors.forEach(entity => {
-                    const badge = document.createElement('div');
-                    badge.classList.add('sensor-badge', 'open');
-                    
-                    // Get friendly name or fallback to entity ID
-                    const name = entity.attributes.friendly_name || 
-                        entity.entity_id.split('.').pop().replace(/_/g, ' ');
-                    
-                    // Determine icon based on entity type
-                    let iconClass = 'fa-solid fa-sensor';
-                    
-                    if (entity.entity_id.startsWith('binary_sensor.')) {
-                        if (entity.attributes.device_class === 'door' || 
-                            entity.attributes.device_class === 'window') {
-                            iconClass = 'fa-solid fa-door-open';
-                        } else if (entity.attributes.device_class === 'motion') {
-                            iconClass = 'fa-solid fa-person-running';
-                        } else if (entity.attributes.device_class === 'smoke') {
-                            iconClass = 'fa-solid fa-smoke';
-                        } else if (entity.attributes.device_class === 'moisture') {
-                            iconClass = 'fa-solid fa-droplet';
-                        } else {
-                            iconClass = 'fa-solid fa-triangle-exclamation';
-                        }
-                    }
-                    
-                    badge.innerHTML = `<i class="${iconClass}"></i>${name}`;
-                    container.appendChild(badge);
-                });
-                
-                // Make container visible
-                container.style.display = 'flex';
-            } else {
-                // If no open sensors, don't show anything to keep UI clean
-                container.style.display = 'none';
-            }
-            
-            // Update arm buttons with warning if open sensors
-            updateArmButtonsForOpenSensors(openSensorsPresent);
-            
-            // Set up auto-refresh
-            startSensorAutoRefresh(entityIds);
+            // Replace the cached states with the fresh snapshot
+            sensorStates = {};
+            results.entities.forEach(entity => {
+                sensorStates[entity.entity_id] = entity;
+            });
             
+            displayEntities();
         } else {
             throw new Error("Invalid response format from API");
         }
@@ -955,35 +3025,153 @@ async function getAndDisplayEntities(entityIds) {
     } catch (error) {
         console.error('Error fetching entity states:', error);
         
-        const container = document.getElementById('entities-container');
-        if (container) {
-            container.innerHTML = `
-                <div class="sensor-badge">
-                    <i class="fas fa-exclamation-triangle"></i> Sensor Error
-                </div>
-            `;
-            container.style.display = 'flex';
-        }
+        const container = getEntitiesContainer();
+        container.innerHTML = `
+            <div class="sensor-badge">
+                <i class="fas fa-exclamation-triangle"></i> ${t('sensors.error')}
+            </div>
+        `;
+        container.style.display = 'flex';
+    }
+}
+
+/**
+ * Returns the open sensor container in the status bar, creating it if needed
+ * 
+ * @returns {HTMLElement} The sensor container
+ */
+function getEntitiesContainer() {
+    let container = document.getElementById('entities-container');
+    if (!container) {
+        container = document.createElement('div');
+        container.id = 'entities-container';
+        container.classList.add('status-sensors');
+        
+        // Add container to the system status bar
+        document.getElementById('system-status').appendChild(container);
     }
+    return container;
+}
+
+/**
+ * Returns the watched sensors that are currently open
+ * Doors and windows first, then sorted by name
+ * 
+ * @returns {Array<Object>} The open sensor states
+ */
+function getOpenSensors() {
+    const openSensors = sensorEntityIds
+        .map(entityId => sensorStates[entityId])
+        .filter(entity => entity && entity.state === 'on');
+    
+    openSensors.sort((a, b) => {
+        const typeA = a.attributes.device_class || '';
+        const typeB = b.attributes.device_class || '';
+        
+        // Doors and windows first
+        if ((typeA === 'door' || typeA === 'window') && 
+            !(typeB === 'door' || typeB === 'window')) {
+            return -1;
+        }
+        if ((typeB === 'door' || typeB === 'window') && 
+            !(typeA === 'door' || typeA === 'window')) {
+            return 1;
+        }
+        
+        // Then sort by name
+        return getSensorName(a).localeCompare(getSensorName(b));
+    });
+    
+    return openSensors;
 }
 
 /**
- * Starts auto-refresh for sensors
- * Sets up periodic polling of sensor states
+ * Returns a sensor's friendly name, falling back to its entity ID
  * 
- * @param {Array<string>} entityIds - Array of entity IDs to refresh
+ * @param {Object} entity - The Home Assistant state object
+ * @returns {string} The display name
  */
-function startSensorAutoRefresh(entityIds) {
-    // Clear any existing timer
-    if (sensorRefreshTimer) {
-        clearInterval(sensorRefreshTimer);
+function getSensorName(entity) {
+    return entity.attributes.friendly_name || 
+        entity.entity_id.split('.').pop().replace(/_/g, ' ');
+}
+
+/**
+ * Returns the display name of a sensor named in an Alarmo event
+ * Prefers the name the server sent, then the watched sensor's friendly name
+ * 
+ * @param {Object} sensor - { entity_id, name } from the event details
+ * @returns {string} The display name
+ */
+function getEventSensorName(sensor) {
+    if (sensor.name) {
+        return sensor.name;
+    }
+    return getSensorName(sensorStates[sensor.entity_id] || { entity_id: sensor.entity_id, attributes: {} });
+}
+
+/**
+ * Renders the open sensors from the cached states into the status bar
+ */
+function displayEntities() {
+    const container = getEntitiesContainer();
+    container.innerHTML = '';
+    
+    // Only show triggered sensors
+    const openSensors = getOpenSensors();
+    
+    if (openSensors.length > 0) {
+        // Add count badge for multiple sensors
+        if (openSensors.length > 1) {
+            const countBadge = document.createElement('div');
+            countBadge.classList.add('sensor-badge');
+            countBadge.innerHTML = `<i class="fa-solid fa-triangle-exclamation"></i>${t('sensors.open', { count: openSensors.length })}`;
+            container.appendChild(countBadge);
+        }
+        
+        // Apply scrolling if many sensors
+        if (openSensors.length > 3) {
+            container.classList.add('many-sensors');
+        } else {
+            container.classList.remove('many-sensors');
+        }
+        
+        // Add each sensor badge
+        openSensors.forEach(entity => {
+            const badge = document.createElement('div');
+            badge.classList.add('sensor-badge', 'open');
+            
+            // Determine icon based on entity type
+            let iconClass = 'fa-solid fa-sensor';
+            
+            if (entity.entity_id.startsWith('binary_sensor.')) {
+                if (entity.attributes.device_class === 'door' || 
+                    entity.attributes.device_class === 'window') {
+                    iconClass = 'fa-solid fa-door-open';
+                } else if (entity.attributes.device_class === 'motion') {
+                    iconClass = 'fa-solid fa-person-running';
+                } else if (entity.attributes.device_class === 'smoke') {
+                    iconClass = 'fa-solid fa-smoke';
+                } else if (entity.attributes.device_class === 'moisture') {
+                    iconClass = 'fa-solid fa-droplet';
+                } else {
+                    iconClass = 'fa-solid fa-triangle-exclamation';
+                }
+            }
+            
+            badge.innerHTML = `<i class="${iconClass}"></i>${getSensorName(entity)}`;
+            container.appendChild(badge);
+        });
+        
+        // Make container visible
+        container.style.display = 'flex';
+    } else {
+        // If no open sensors, don't show anything to keep UI clean
+        container.style.display = 'none';
     }
     
-    // Refresh every 30 seconds
-    sensorRefreshTimer = setInterval(() => {
-        console.log('Auto-refreshing sensors...');
-        getAndDisplayEntities(entityIds);
-    }, 30000); // 30 seconds
+    // Update arm buttons with warning if open sensors
+    updateArmButtonsForOpenSensors(openSensors.length > 0);
 }
 
 /**
@@ -991,7 +3179,7 @@ function startSensorAutoRefresh(entityIds) {
  */
 function loadAndDisplaySensors() {
     // Fetch the sensor list from the server
-    fetch('/api/config/sensors')
+    apiFetch('/api/config/sensors')
         .then(response => {
             if (!response.ok) {
                 throw new Error('Failed to load sensor configuration');
@@ -1008,7 +3196,206 @@ function loadAndDisplaySensors() {
         })
         .catch(error => {
             console.error('Error loading sensors:', error);
-            showNotification('Failed to load sensor configuration', 'error');
+            showNotification(t('error.sensorConfig'), 'error');
+        });
+}
+
+/**
+ * Fetches keypad behaviour settings from the server
+ */
+function loadKeypadSettings() {
+    apiFetch('/api/config/keypad')
+        .then(response => {
+            if (!response.ok) {
+                throw new Error('Failed to load keypad settings');
+            }
+            return response.json();
+        })
+        .then(settings => {
+            console.log('Loaded keypad settings:', settings);
+            keypadSettings = { ...keypadSettings, ...settings };
+            updateTheme();
+            applyLargeTargets();
+            updatePinpadLayout();
+            
+            // Keypads that picked their own language keep it
+            if (!keypadLocale && keypadSettings.locale !== currentLocale) {
+                setLocale(keypadSettings.locale);
+            }
+            
+            // Restart a playing siren so it picks up the new volume or sound setting
+            stopSiren();
+            updateTriggeredView();
+            resetIdleTimer();
+            startKioskIntegration();
+        })
+        .catch(error => {
+            console.error('Error loading keypad settings:', error);
+        });
+}
+
+/**
+ * Fetches the sound pack choices, volumes and quiet hours, then loads the pack sounds
+ * Events without a pack sound keep the built-in one
+ */
+function loadSoundSettings() {
+    apiFetch('/api/config/sounds')
+        .then(response => {
+            if (!response.ok) {
+                throw new Error('Failed to load sound settings');
+            }
+            return response.json();
+        })
+        .then(settings => {
+            console.log('Loaded sound settings:', settings);
+            soundSettings = settings;
+            return Promise.all(Object.entries(settings.events).map(([event, eventSettings]) => 
+                loadPackSound(event, eventSettings.url)
+            ));
+        })
+        .then(() => {
+            // Restart a playing siren so it picks up a new siren sound or volume
+            stopSiren();
+            updateTriggeredView();
+        })
+        .catch(error => {
+            console.error('Error loading sound settings:', error);
+        });
+}
+
+/**
+ * Loads one sound from a pack, or goes back to the built-in sound
+ * 
+ * @param {string} event - The sound event
+ * @param {string|null} url - The pack sound, or null for the built-in one
+ * @returns {Promise<void>}
+ */
+function loadPackSound(event, url) {
+    if (!url) {
+        delete packBuffers[event];
+        return Promise.resolve();
+    }
+    
+    return fetch(url)
+        .then(response => {
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            return response.arrayBuffer();
+        })
+        .then(arrayBuffer => audioContext.decodeAudioData(arrayBuffer))
+        .then(audioBuffer => {
+            packBuffers[event] = audioBuffer;
+        })
+        .catch(error => {
+            console.error(`Error loading ${event} sound from ${url}:`, error);
+            delete packBuffers[event];
+        });
+}
+
+/**
+ * Picks the theme the keypad should show right now
+ * A keypad given its own theme keeps it; otherwise the alarm state's theme wins,
+ * then the night theme (on schedule or after sunset), then the day theme
+ * 
+ * @returns {string} The theme name
+ */
+function getActiveTheme() {
+    const themes = keypadSettings.themes;
+    
+    if (themes.pinned) {
+        return keypadSettings.theme;
+    }
+    if (themes.states[currentAlarmState]) {
+        return themes.states[currentAlarmState];
+    }
+    if (themes.auto === 'schedule' && isWithinHours(themes.nightStart, themes.nightEnd)) {
+        return themes.nightTheme;
+    }
+    if (themes.auto === 'sun' && themes.sunState === 'below_horizon') {
+        return themes.nightTheme;
+    }
+    return keypadSettings.theme;
+}
+
+/**
+ * Switches to the theme for the current alarm state, time and sun
+ * Called when any of them change, and every minute for scheduled night themes
+ */
+function updateTheme() {
+    applyTheme(getActiveTheme());
+}
+
+/**
+ * Switches the keypad to a colour theme
+ * Also tells the browser whether the theme is light or dark, so form controls
+ * and the status bar match
+ * 
+ * @param {string} theme - The theme name (e.g. 'dark', 'light', 'high-contrast', 'night')
+ */
+function applyTheme(theme) {
+    if (document.body.classList.contains(`theme-${theme}`)) {
+        return;
+    }
+    
+    console.log(`Switching to the ${theme} theme`);
+    Array.from(document.body.classList)
+        .filter(className => className.startsWith('theme-'))
+        .forEach(className => document.body.classList.remove(className));
+    document.body.classList.add(`theme-${theme}`);
+    
+    const styles = getComputedStyle(document.body);
+    const colorScheme = styles.getPropertyValue('--color-scheme').trim();
+    document.querySelectorAll('meta[name="color-scheme"], meta[name="supported-color-schemes"]').forEach(meta => {
+        meta.content = colorScheme;
+    });
+    const themeColor = document.querySelector('meta[name="theme-color"]');
+    if (themeColor) {
+        themeColor.content = styles.getPropertyValue('--bg-color').trim();
+    }
+}
+
+/**
+ * Fetches the alarm's code format and length and sets up code entry to match
+ */
+function loadCodeSettings() {
+    apiFetch('/api/config/code')
+        .then(response => {
+            if (!response.ok) {
+                throw new Error('Failed to load code format');
+            }
+            return response.json();
+        })
+        .then(settings => {
+            console.log(`Loaded code format (${settings.source}):`, settings);
+            applyCodeSettings(settings);
+        })
+        .catch(error => {
+            console.error('Error loading code format:', error);
+        });
+}
+
+/**
+ * Fetches the arm modes enabled in Alarmo and rebuilds the arm buttons
+ */
+function loadArmModes() {
+    apiFetch('/api/config/modes')
+        .then(response => {
+            if (!response.ok) {
+                throw new Error('Failed to load arm modes');
+            }
+            return response.json();
+        })
+        .then(data => {
+            if (data && Array.isArray(data.modes) && data.modes.length > 0) {
+                console.log(`Loaded arm modes (${data.source}):`, data.modes);
+                renderArmButtons(data.modes);
+            } else {
+                throw new Error('Invalid arm mode configuration format');
+            }
+        })
+        .catch(error => {
+            console.error('Error loading arm modes:', error);
         });
 }
 
@@ -1059,135 +3446,50 @@ document.addEventListener('DOMContentLoaded', () => {
             audioContext.resume();
         }
     }, 30000); // Check every 30 seconds
-
-    // Add custom styling to arm buttons but preserve their content
-    const armHomeBtn = document.getElementById('arm-home');
-    const armAwayBtn = document.getElementById('arm-away');
     
-    if (armHomeBtn) {
-        armHomeBtn.classList.add('large-button');
+    // Scheduled night themes switch on the minute
+    setInterval(updateTheme, 60000);
+
+    // Show the keypad's own language until the server's default is known
+    setLocale(keypadLocale || keypadSettings.locale);
+    const localeButton = document.getElementById('locale-button');
+    if (localeButton) {
+        localeButton.addEventListener('click', cycleLocale);
     }
     
-    if (armAwayBtn) {
-        armAwayBtn.classList.add('large-button');
+    // Unpaired keypads go straight to the pairing screen
+    if (!localStorage.getItem('deviceToken')) {
+        showPairingScreen();
     }
     
     // Event listeners for keypad - Optimized for fast touch response
-    document.querySelectorAll('.key').forEach(button => {
-        // Use touchstart for immediate response on Android
-        button.addEventListener('touchstart', function(e) {
-            e.preventDefault(); // Prevent mouse events
-            this.classList.add('active');
-            
-            // Immediate key processing for faster response
-            const key = this.dataset.key;
-            handleKeyPress(key);
-        }, { passive: false });
-        
-        // Clean up active state on touchend
-        button.addEventListener('touchend', function(e) {
-            e.preventDefault();
-            this.classList.remove('active');
-        }, { passive: false });
-        
-        // Keep click handler as fallback for non-touch devices
-        button.addEventListener('click', function(e) {
-            // Only process if no touch events fired
-            if (e.detail === 0) return; // Skip if triggered by touch
-            const key = this.dataset.key;
-            handleKeyPress(key);
-        });
-        
-        // Prevent context menu on long press
-        button.addEventListener('contextmenu', function(e) {
-            e.preventDefault();
-        });
-    });
+    document.querySelectorAll('.key').forEach(bindKeyButton);
     
-/**
- * Handles arm button press logic (shared between touch and click events)
- * @param {string} mode - 'arm_home' or 'arm_away'
- */
-function handleArmButtonPress(mode) {
-    console.log(`${mode} button pressed`);
+    // Physical keyboards and USB numpads - added before the wake handler so it sees the keypad still idle
+    document.addEventListener('keydown', handleKeyboardInput, true);
+    applyLargeTargets();
     
-    // Process arm request
-    const openSensorsContainer = document.getElementById('entities-container');
-    const hasOpenSensors = openSensorsContainer && 
-                        openSensorsContainer.style.display !== 'none' && 
-                        openSensorsContainer.children.length > 0;
-                        
-    if (hasOpenSensors && !armButtonPressed[mode]) {
-        requestArmWithMode(mode, currentCode.length >= 4 ? currentCode : null);
-    } else {
-        if (currentCode && pinLength >= 4) {
-            const codeToUse = currentCode;
-            currentCode = '';
-            pinLength = 0;
-            updatePinDisplay();
-            requestArmWithMode(mode, codeToUse);
-        } else {
-            requestArmWithMode(mode);
-        }
-    }
-}
-
-    // Action button event listeners - Optimized for Android touch response
-    if (armHomeBtn) {
-        // Use touchstart for immediate response on touch devices
-        armHomeBtn.addEventListener('touchstart', function(e) {
-            e.preventDefault();
-            this.classList.add('active');
-            handleArmButtonPress('arm_home');
-        }, { passive: false });
-        
-        // Clean up on touch end
-        armHomeBtn.addEventListener('touchend', function(e) {
-            e.preventDefault();
-            this.classList.remove('active');
-        }, { passive: false });
-        
-        // Click fallback for non-touch devices or when touch fails
-        armHomeBtn.addEventListener('click', function(e) {
-            // Only process if not triggered by touch event
-            if (e.detail !== 0) {
-                handleArmButtonPress('arm_home');
-            }
-        });
-        
-        // Prevent context menu
-        armHomeBtn.addEventListener('contextmenu', function(e) {
-            e.preventDefault();
-        });
-    }
-
-    if (armAwayBtn) {
-        // Use touchstart for immediate response on touch devices
-        armAwayBtn.addEventListener('touchstart', function(e) {
-            e.preventDefault();
-            this.classList.add('active');
-            handleArmButtonPress('arm_away');
-        }, { passive: false });
-        
-        // Clean up on touch end
-        armAwayBtn.addEventListener('touchend', function(e) {
-            e.preventDefault();
-            this.classList.remove('active');
-        }, { passive: false });
-        
-        // Click fallback for non-touch devices or when touch fails
-        armAwayBtn.addEventListener('click', function(e) {
-            // Only process if not triggered by touch event
-            if (e.detail !== 0) {
-                handleArmButtonPress('arm_away');
-            }
-        });
-        
-        // Prevent context menu
-        armAwayBtn.addEventListener('contextmenu', function(e) {
-            e.preventDefault();
-        });
+    // Any touch, click or key press keeps the keypad awake
+    ['touchstart', 'mousedown', 'keydown'].forEach(type => {
+        document.addEventListener(type, wakeFromIdle, true);
+    });
+    
+    // The tap that wakes the screensaver shouldn't also press whatever is under it
+    const idleScreen = document.getElementById('idle-screen');
+    if (idleScreen) {
+        idleScreen.addEventListener('touchstart', e => e.preventDefault(), { passive: false });
     }
+    resetIdleTimer();
+    
+    // Size the PIN dots for the default code, then switch to the alarm's code format
+    updatePinDisplay();
+    loadCodeSettings();
+    
+    // Build the default arm buttons, then replace them with the modes enabled in Alarmo
+    renderArmButtons(armModes);
+    loadArmModes();
+    loadKeypadSettings();
+    loadSoundSettings();
     
     // Remove or hide the disarm button since we're using enter for disarm
     const disarmBtn = document.getElementById('disarm'); 
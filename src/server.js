@@ -6,76 +6,356 @@ const socketIo = require('socket.io');
 const alarmRoutes = require('./api/alarm');
 const sensorRoutes = require('./api/sensors');
 const configRouter = require('./api/config');
+const auditRoutes = require('./api/audit');
+const deviceRoutes = require('./api/devices');
+const adminRoutes = require('./api/admin');
+const healthRoutes = require('./api/health');
+const metricsRoutes = require('./api/metrics');
+const { requireDevice, requireAdmin, isAdmin } = require('./middleware/auth');
 const config = require('./config');
+const configLoader = require('./services/configLoader');
+const homeAssistantSocket = require('./services/homeAssistantSocket');
+const { MASTER_AREA, AREA_STATE_TOPICS, getAreaFromTopic, getStateTopic, getEventArea } = require('./services/alarmAreas');
+const codeLockout = require('./services/codeLockout');
+const auditLog = require('./services/auditLog');
+const commandBroker = require('./services/commandBroker');
+const devicePairing = require('./services/devicePairing');
+const connectionHealth = require('./services/connectionHealth');
+const metrics = require('./services/metrics');
+const soundPacks = require('./services/soundPacks');
+
+// Alarmo states that run an exit or entry delay
+const DELAY_STATES = ['arming', 'pending'];
+
+// Alarmo states that follow a TRIGGER event
+const TRIGGER_STATES = ['pending', 'triggered'];
 
 const app = express();
 const server = http.createServer(app);
 const io = socketIo(server);
 
+// Prepare the audit log before any command can be recorded
+auditLog.initialize();
+
+// Load paired keypads before any request is authenticated
+devicePairing.initialize();
+
+// Make sure the sound pack folder exists so packs can be uploaded
+soundPacks.initialize();
+
+// Latest state of every Alarmo area, keyed by area slug (MASTER_AREA for alarmo/state)
+app.locals.alarmStates = {};
+
+// Sensors bypassed when each area was last armed, keyed by area slug
+app.locals.bypassedSensors = {};
+
+// Running exit/entry delay of each area, keyed by area slug
+app.locals.alarmCountdowns = {};
+
+// Sensors that tripped the alarm, kept until no area is pending or triggered
+app.locals.alarmTrigger = null;
+
 app.use(express.json());
 app.use(express.static(path.join(__dirname, 'public')));
+app.use('/sound-packs', express.static(config.sounds.packsPath));
 
 // Initialize MQTT client
 const mqttClient = mqtt.connect(config.mqtt.broker, {
     username: config.mqtt.username,
     password: config.mqtt.password
 });
+metrics.watchMqttClient(mqttClient);
 
 // MQTT connection handling
 mqttClient.on('connect', () => {
     console.log('Connected to MQTT broker');
+    connectionHealth.setStatus('mqtt', true);
     
-    // Subscribe to Alarmo state topic
+    // Subscribe to Alarmo state topics (master and per-area)
     mqttClient.subscribe('alarmo/state');
+    mqttClient.subscribe(AREA_STATE_TOPICS);
     mqttClient.subscribe('alarmo/event');
 });
 
 mqttClient.on('error', (error) => {
     console.error('MQTT connection error:', error);
+    connectionHealth.setStatus('mqtt', false, error.message);
+});
+
+mqttClient.on('close', () => {
+    connectionHealth.setStatus('mqtt', false);
 });
 
 mqttClient.on('message', (topic, message) => {    
     // Process Alarmo state messages
-    if (topic === 'alarmo/state' || topic.startsWith('alarmo/') && topic.endsWith('/state')) {
+    const area = getAreaFromTopic(topic);
+    if (area) {
         const state = message.toString();
+        connectionHealth.recordStateUpdate();
         // Store the state in app locals to share with routes
-        app.locals.alarmState = state;
+        app.locals.alarmStates[area] = state;
+        if (area === MASTER_AREA) {
+            app.locals.alarmState = state;
+        }
+        
+        // Bypasses only last until the area is disarmed
+        if (state === 'disarmed') {
+            delete app.locals.bypassedSensors[area];
+        }
+        
+        // Forget the area's delay once it leaves its exit/entry delay
+        if (!DELAY_STATES.includes(state)) {
+            delete app.locals.alarmCountdowns[area];
+        }
+        
+        // Forget what tripped the alarm once every area has been disarmed or re-armed
+        if (!Object.values(app.locals.alarmStates).some(areaState => TRIGGER_STATES.includes(areaState))) {
+            app.locals.alarmTrigger = null;
+        }
         
         // Emit this to WebSocket clients
         io.emit('alarmStateChanged', {
             topic: topic,
+            area: area,
             state: state,
+            countdown: describeCountdown(app.locals.alarmCountdowns[area]),
+            bypassedSensors: app.locals.bypassedSensors[area] || [],
+            trigger: app.locals.alarmTrigger,
             timestamp: new Date().toISOString()
         });
     }
+    
+    // Process Alarmo events that start an exit or entry delay
+    if (topic === 'alarmo/event') {
+        const countdown = getCountdownFromEvent(message.toString());
+        if (countdown) {
+            app.locals.alarmCountdowns[countdown.area] = countdown;
+            io.emit('alarmCountdown', describeCountdown(countdown));
+        }
+        
+        // Tell keypads which sensors set the alarm off
+        const trigger = getTriggerFromEvent(message.toString());
+        if (trigger) {
+            app.locals.alarmTrigger = trigger;
+            io.emit('alarmTriggered', trigger);
+        }
+    }
+});
+
+/**
+ * Helper function to extract delay details from an Alarmo event message
+ * @param {string} message - The raw alarmo/event payload
+ * @returns {Object|null} Countdown details, or null if the event carries no delay
+ */
+function getCountdownFromEvent(message) {
+    try {
+        const payload = JSON.parse(message);
+        const delay = Number(payload.delay);
+        
+        if (!delay || delay <= 0) {
+            return null;
+        }
+        
+        return {
+            area: getEventArea(payload, Object.keys(app.locals.alarmStates)),
+            // Alarmo reports entry delays with the TRIGGER event and exit delays with ARM_* events
+            type: payload.event === 'TRIGGER' ? 'entry' : 'exit',
+            event: payload.event,
+            delay: delay,
+            expiresAt: Date.now() + delay * 1000
+        };
+    } catch (e) {
+        console.error('Error parsing Alarmo event for delay:', e);
+        return null;
+    }
+}
+
+/**
+ * Helper function to describe a running delay for keypads
+ * Keypads get the seconds left rather than the end time, so a tablet whose
+ * clock is off still counts down correctly from when the message arrives
+ * @param {Object} countdown - A countdown from getCountdownFromEvent
+ * @returns {Object|null} { area, type, event, delay, remaining }, or null if there is none
+ */
+function describeCountdown(countdown) {
+    if (!countdown) {
+        return null;
+    }
+    
+    const { expiresAt, ...details } = countdown;
+    return {
+        ...details,
+        remaining: Math.max(0, (expiresAt - Date.now()) / 1000)
+    };
+}
+
+/**
+ * Helper function to list the Home Assistant entities keypads follow live
+ * @returns {Array<string>} The watched sensors, plus the sun entity when themes follow the sun
+ */
+function getWatchedEntities() {
+    const entityIds = [...config.sensors.list];
+    if (config.themes.auto === 'sun' && !entityIds.includes(config.themes.sunEntity)) {
+        entityIds.push(config.themes.sunEntity);
+    }
+    return entityIds;
+}
+
+/**
+ * Helper function to extract the tripped sensors from an Alarmo TRIGGER event
+ * @param {string} message - The raw alarmo/event payload
+ * @returns {Object|null} Trigger details, or null if this isn't a TRIGGER event
+ */
+function getTriggerFromEvent(message) {
+    try {
+        const payload = JSON.parse(message);
+        
+        if (payload.event !== 'TRIGGER') {
+            return null;
+        }
+        
+        return {
+            event: payload.event,
+            sensors: commandBroker.getEventSensors(payload),
+            timestamp: new Date().toISOString()
+        };
+    } catch (e) {
+        console.error('Error parsing Alarmo event for trigger:', e);
+        return null;
+    }
+}
+
+// Route keypad commands through one queue so responses reach the keypad that sent them
+commandBroker.initialize({
+    mqttClient: mqttClient,
+    io: io,
+    getCachedState: (area) => app.locals.alarmStates[area],
+    getAreas: () => Object.keys(app.locals.alarmStates)
+});
+
+// Keep a live Home Assistant subscription for the configured sensors
+homeAssistantSocket.connect(getWatchedEntities());
+
+// Push sensor changes to keypads as they happen
+homeAssistantSocket.events.on('stateChanged', (entity) => {
+    io.emit('sensorStateChanged', {
+        entity: entity,
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Track the Home Assistant connections and tell keypads when any connection goes up or down
+homeAssistantSocket.events.on('connected', () => connectionHealth.setStatus('homeAssistantSocket', true));
+homeAssistantSocket.events.on('disconnected', () => {
+    connectionHealth.setStatus('homeAssistantSocket', false, 'Disconnected from Home Assistant WebSocket API');
+});
+connectionHealth.startChecks();
+
+connectionHealth.events.on('changed', (health) => {
+    io.emit('healthChanged', health);
+});
+
+// Apply config file changes without a restart
+configLoader.watchConfig(config);
+
+configLoader.events.on('changed', (changed) => {
+    if (changed.some(name => ['sensors.list', 'themes.auto', 'themes.sunEntity'].includes(name))) {
+        homeAssistantSocket.setWatchedEntities(getWatchedEntities());
+    }
+    
+    // Keypads reload their sensors and settings
+    io.emit('configChanged', {
+        changed: changed,
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Only paired keypads (or an admin) may open a socket
+io.use((socket, next) => {
+    const token = socket.handshake.auth && socket.handshake.auth.token;
+    
+    if (isAdmin(token)) {
+        return next();
+    }
+    
+    const device = devicePairing.authenticate(token);
+    if (!device) {
+        return next(new Error('unauthorized'));
+    }
+    
+    socket.data.device = device;
+    next();
 });
 
 // WebSocket connection handling
 io.on('connection', (socket) => {
     console.log('New client connected');
+    connectionHealth.setSocketClients(io.engine.clientsCount);
     
-    // Send current alarm state to newly connected clients
-    if (app.locals.alarmState) {
+    // Let the keypad know straight away if the alarm system is unreachable
+    socket.emit('healthChanged', connectionHealth.getHealth());
+    
+    // Send the current state of every area to newly connected clients
+    Object.entries(app.locals.alarmStates).forEach(([area, state]) => {
         socket.emit('alarmStateChanged', {
-            topic: 'alarmo/state',
-            state: app.locals.alarmState,
+            topic: getStateTopic(area),
+            area: area,
+            state: state,
+            countdown: describeCountdown(app.locals.alarmCountdowns[area]),
+            bypassedSensors: app.locals.bypassedSensors[area] || [],
+            trigger: app.locals.alarmTrigger,
             timestamp: new Date().toISOString()
         });
+    });
+    
+    // Let keypads that reconnect mid-lockout know they are still locked
+    const lockout = codeLockout.getLockout(codeLockout.getClientId(socket.handshake.address));
+    if (lockout) {
+        socket.emit('keypadLockout', lockout);
     }
     
+    // Let keypads know if commands are already waiting
+    socket.emit('commandQueue', commandBroker.getQueueState());
+    
+    // Tablets running Fully Kiosk report their battery
+    socket.on('deviceStatus', (status) => {
+        if (socket.data.device) {
+            devicePairing.reportStatus(socket.data.device.id, status);
+        }
+    });
+    
     socket.on('disconnect', () => {
         console.log('Client disconnected');
+        connectionHealth.setSocketClients(io.engine.clientsCount);
     });
 });
 
+// Live values for the socket client and connection gauges
+metrics.setCollectors({
+    getSocketClients: () => io.engine.clientsCount,
+    getHealth: connectionHealth.getHealth
+});
+
 // Make MQTT client available to routes
 app.locals.mqttClient = mqttClient;
 app.locals.io = io; // Make WebSocket IO available to routes
 
-// Routes
-app.use('/api/alarm', alarmRoutes);
-app.use('/api/sensors', sensorRoutes);
-app.use('/api/config', configRouter);
+// Admin settings page
+app.get('/admin', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'admin.html'));
+});
+
+// Prometheus scrape endpoint - protected by its own token when one is set
+app.use('/metrics', metricsRoutes);
+
+// Routes - pairing, admin login and health are open, everything else needs a paired device
+app.use('/api/devices', deviceRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/health', healthRoutes);
+app.use('/api/alarm', requireDevice, alarmRoutes);
+app.use('/api/sensors', requireDevice, sensorRoutes);
+app.use('/api/config', requireDevice, configRouter);
+app.use('/api/audit', requireAdmin, auditRoutes);
 
 // Start server
 const PORT = config.server.port;
@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+const config = require('../config');
+
+/**
+ * Admin page sessions
+ *
+ * Entering the admin PIN on the /admin page starts a session. The session
+ * token then works wherever the admin token does, until it expires or the
+ * admin logs out. Sessions are kept in memory, so a restart logs everyone out.
+ */
+
+// Session expiry times, keyed by token
+const sessions = new Map();
+
+/**
+ * Checks a PIN and starts a session when it matches the admin PIN
+ * @param {string} pin - The PIN entered on the admin page
+ * @returns {Object|null} { token, expiresAt }, or null if the PIN is wrong or no PIN is set
+ */
+function login(pin) {
+    const adminPin = config.admin.pin;
+    if (!adminPin || typeof pin !== 'string') {
+        return null;
+    }
+
+    // Constant-time comparison so timing doesn't reveal the PIN
+    const expected = Buffer.from(String(adminPin));
+    const actual = Buffer.from(pin);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = Date.now() + config.admin.sessionTimeout;
+    sessions.set(token, expiresAt);
+
+    return { token, expiresAt: new Date(expiresAt).toISOString() };
+}
+
+/**
+ * Checks whether a token belongs to a live admin session
+ * @param {string} token - The session token
+ * @returns {boolean}
+ */
+function isValid(token) {
+    const expiresAt = sessions.get(token);
+    if (!expiresAt) {
+        return false;
+    }
+    if (expiresAt <= Date.now()) {
+        sessions.delete(token);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Ends an admin session
+ * @param {string} token - The session token
+ */
+function logout(token) {
+    sessions.delete(token);
+}
+
+/**
+ * Checks whether the admin page can be used at all
+ * @returns {boolean} True when an admin PIN is configured
+ */
+function isEnabled() {
+    return Boolean(config.admin.pin);
+}
+
+module.exports = {
+    login,
+    isValid,
+    logout,
+    isEnabled
+};
@@ -0,0 +1,69 @@
+/**
+ * Alarmo area helpers
+ *
+ * Alarmo publishes the master (or only) area on alarmo/state and every other
+ * area on alarmo/<area>/state, where <area> is the slugified area name. The
+ * same slug is accepted in the "area" field of alarmo/command.
+ */
+
+// Key used for the state published on alarmo/state
+const MASTER_AREA = 'master';
+
+// Topic wildcard covering every per-area state topic
+const AREA_STATE_TOPICS = 'alarmo/+/state';
+
+/**
+ * Returns the area a state topic belongs to
+ * @param {string} topic - The MQTT topic (e.g. alarmo/garage/state)
+ * @returns {string|null} The area slug, MASTER_AREA, or null if not a state topic
+ */
+function getAreaFromTopic(topic) {
+    if (topic === 'alarmo/state') {
+        return MASTER_AREA;
+    }
+
+    const match = /^alarmo\/([^/]+)\/state$/.exec(topic);
+    return match ? match[1] : null;
+}
+
+/**
+ * Returns the state topic for an area
+ * @param {string} [area] - The area slug; master when omitted
+ * @returns {string} The MQTT state topic
+ */
+function getStateTopic(area) {
+    return !area || area === MASTER_AREA ? 'alarmo/state' : `alarmo/${area}/state`;
+}
+
+/**
+ * Checks that an area from a request looks like an Alarmo area slug
+ * @param {string} area - The area from the request
+ * @returns {boolean}
+ */
+function isValidArea(area) {
+    return typeof area === 'string' && /^[a-z0-9_]+$/.test(area);
+}
+
+/**
+ * Returns the area an alarmo/event payload belongs to
+ * Events name their area in area_id; events without one, or naming an area that
+ * has no state topic of its own (a single-area setup), belong to the master area
+ * @param {Object} payload - The parsed alarmo/event payload
+ * @param {Array<string>} knownAreas - Areas that have reported a state
+ * @returns {string} The area slug, or MASTER_AREA
+ */
+function getEventArea(payload, knownAreas) {
+    const areaId = payload ? payload.area_id : null;
+    return typeof areaId === 'string' && areaId !== MASTER_AREA && knownAreas.includes(areaId)
+        ? areaId
+        : MASTER_AREA;
+}
+
+module.exports = {
+    MASTER_AREA,
+    AREA_STATE_TOPICS,
+    getAreaFromTopic,
+    getStateTopic,
+    getEventArea,
+    isValidArea
+};
@@ -0,0 +1,141 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+
+/**
+ * Persistent audit log of keypad commands
+ *
+ * Every command and its outcome is appended as one JSON line to the audit
+ * log file. Security codes are never passed in and never written.
+ */
+
+// Columns written by the CSV export, in order
+const CSV_COLUMNS = ['timestamp', 'mode', 'area', 'outcome', 'event', 'status', 'latencyMs', 'client', 'keypadId', 'userAgent', 'bypassedSensors', 'duress'];
+
+// Serialize appends so lines from concurrent commands never interleave
+let writeQueue = Promise.resolve();
+
+/**
+ * Creates the log directory and prunes entries past the retention period
+ */
+function initialize() {
+    const logPath = config.audit.logPath;
+    fs.mkdirSync(path.dirname(logPath), { recursive: true });
+
+    if (!fs.existsSync(logPath)) {
+        return;
+    }
+
+    const cutoff = Date.now() - config.audit.retentionDays * 24 * 60 * 60 * 1000;
+    const entries = readEntries();
+    const kept = entries.filter(entry => new Date(entry.timestamp).getTime() >= cutoff);
+
+    if (kept.length !== entries.length) {
+        fs.writeFileSync(logPath, kept.map(entry => JSON.stringify(entry) + '\n').join(''));
+        console.log(`Pruned ${entries.length - kept.length} audit entries older than ${config.audit.retentionDays} days`);
+    }
+}
+
+/**
+ * Appends a command to the audit log
+ * @param {Object} entry - The command details (mode, area, outcome, event, status, latencyMs, client, keypadId, userAgent, bypassedSensors, duress)
+ * @returns {Promise<Object>} The stored entry
+ */
+function record(entry) {
+    const stored = {
+        id: crypto.randomUUID(),
+        timestamp: new Date().toISOString(),
+        ...entry
+    };
+
+    // Belt and braces - a code must never reach the log
+    delete stored.code;
+
+    writeQueue = writeQueue
+        .then(() => fs.promises.appendFile(config.audit.logPath, JSON.stringify(stored) + '\n'))
+        .catch(error => console.error('Error writing audit log:', error));
+
+    return writeQueue.then(() => stored);
+}
+
+/**
+ * Reads audit entries matching the filters, newest first
+ * @param {Object} filters - Optional filters
+ * @param {string} [filters.from] - Only entries at or after this ISO timestamp
+ * @param {string} [filters.to] - Only entries at or before this ISO timestamp
+ * @param {string} [filters.mode] - Only this command mode (e.g. disarm)
+ * @param {string} [filters.outcome] - Only this outcome (e.g. success)
+ * @param {string} [filters.client] - Only this client IP or keypad ID
+ * @returns {Array<Object>} The matching entries
+ */
+function query(filters = {}) {
+    const from = filters.from ? new Date(filters.from).getTime() : null;
+    const to = filters.to ? new Date(filters.to).getTime() : null;
+
+    return readEntries()
+        .filter(entry => {
+            const time = new Date(entry.timestamp).getTime();
+            if (from !== null && time < from) return false;
+            if (to !== null && time > to) return false;
+            if (filters.mode && entry.mode !== filters.mode) return false;
+            if (filters.outcome && entry.outcome !== filters.outcome) return false;
+            if (filters.client && entry.client !== filters.client && entry.keypadId !== filters.client) return false;
+            return true;
+        })
+        .reverse();
+}
+
+/**
+ * Formats audit entries as CSV
+ * @param {Array<Object>} entries - The entries to export
+ * @returns {string} CSV text with a header row
+ */
+function toCsv(entries) {
+    const escape = (value) => {
+        if (value === undefined || value === null) {
+            return '';
+        }
+        let text = Array.isArray(value) ? value.join(' ') : String(value);
+        // Stop spreadsheets from running values (e.g. a keypad name) as formulas
+        if (/^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = entries.map(entry => CSV_COLUMNS.map(column => escape(entry[column])).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+function readEntries() {
+    let contents;
+    try {
+        contents = fs.readFileSync(config.audit.logPath, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw error;
+    }
+
+    return contents
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => {
+            try {
+                return JSON.parse(line);
+            } catch (e) {
+                console.warn('Skipping malformed audit log line');
+                return null;
+            }
+        })
+        .filter(Boolean);
+}
+
+module.exports = {
+    initialize,
+    record,
+    query,
+    toCsv
+};
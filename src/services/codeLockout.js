@@ -0,0 +1,183 @@
+const config = require('../config');
+
+/**
+ * Wrong-code lockout and command rate limiting
+ *
+ * Counts INVALID_CODE_PROVIDED responses per keypad and across all keypads.
+ * Too many failures within the window locks the keypad (or every keypad)
+ * out, with each consecutive lockout lasting longer than the last.
+ * Wrong admin PINs lock out only the client that sent them, and never
+ * count towards a keypad's or the global lockout.
+ */
+
+// Global key used alongside per-client keys
+const GLOBAL_SCOPE = 'global';
+
+// Failure tracking per client ID, plus one entry for GLOBAL_SCOPE
+const attemptStates = new Map();
+
+// Admin PIN failure tracking per client ID, kept apart from alarm codes
+const adminAttemptStates = new Map();
+
+// Command timestamps per client ID for rate limiting
+const commandHistory = new Map();
+
+// Pairing request timestamps per client ID, limited apart from commands
+const pairingHistory = new Map();
+
+/**
+ * Normalizes a request or socket address into a client ID
+ * @param {string} address - The remote address (e.g. ::ffff:192.168.1.20)
+ * @returns {string} The client ID
+ */
+function getClientId(address) {
+    return (address || 'unknown').replace(/^::ffff:/, '');
+}
+
+/**
+ * Returns the lockout that currently applies to a client, if any
+ * A global lockout takes precedence over a client lockout
+ * @param {string} clientId - The client ID
+ * @returns {Object|null} { scope, clientId, lockedUntil, seconds } or null
+ */
+function getLockout(clientId) {
+    const now = Date.now();
+
+    for (const key of [GLOBAL_SCOPE, clientId]) {
+        const state = attemptStates.get(key);
+        if (state && state.lockedUntil > now) {
+            return describeLockout(key, state);
+        }
+    }
+    return null;
+}
+
+/**
+ * Records a wrong code from a client
+ * @param {string} clientId - The client ID
+ * @returns {Object|null} The lockout that this failure started, or null
+ */
+function recordFailure(clientId) {
+    const { maxFailedAttempts, globalMaxFailedAttempts } = config.security;
+
+    // The global lockout wins if both thresholds are reached at once
+    const globalLockout = addFailure(attemptStates, GLOBAL_SCOPE, globalMaxFailedAttempts);
+    const clientLockout = addFailure(attemptStates, clientId, maxFailedAttempts);
+
+    return globalLockout || clientLockout;
+}
+
+/**
+ * Records an accepted code, which clears the client's failures and escalation
+ * @param {string} clientId - The client ID
+ */
+function recordSuccess(clientId) {
+    attemptStates.delete(clientId);
+}
+
+/**
+ * Returns the admin login lockout that currently applies to a client, if any
+ * @param {string} clientId - The client ID
+ * @returns {Object|null} { scope, clientId, lockedUntil, seconds } or null
+ */
+function getAdminLockout(clientId) {
+    const state = adminAttemptStates.get(clientId);
+    return state && state.lockedUntil > Date.now() ? describeLockout(clientId, state) : null;
+}
+
+/**
+ * Records a wrong admin PIN from a client
+ * @param {string} clientId - The client ID
+ * @returns {Object|null} The lockout that this failure started, or null
+ */
+function recordAdminFailure(clientId) {
+    return addFailure(adminAttemptStates, clientId, config.security.maxFailedAttempts);
+}
+
+/**
+ * Records an accepted admin PIN, which clears the client's admin failures
+ * @param {string} clientId - The client ID
+ */
+function recordAdminSuccess(clientId) {
+    adminAttemptStates.delete(clientId);
+}
+
+/**
+ * Records a command from a client and checks it against the rate limit
+ * @param {string} clientId - The client ID
+ * @returns {boolean} True if the client has sent too many commands
+ */
+function isRateLimited(clientId) {
+    return isOverLimit(commandHistory, clientId, config.security.maxCommandsPerMinute);
+}
+
+/**
+ * Records a pairing request from a client and checks it against the pairing limit
+ * @param {string} clientId - The client ID
+ * @returns {boolean} True if the client has asked to pair too often
+ */
+function isPairingRateLimited(clientId) {
+    return isOverLimit(pairingHistory, clientId, config.devices.maxPairingRequestsPerMinute);
+}
+
+function isOverLimit(history, clientId, maxPerMinute) {
+    const now = Date.now();
+    const recent = (history.get(clientId) || []).filter(time => now - time < 60 * 1000);
+
+    if (recent.length >= maxPerMinute) {
+        history.set(clientId, recent);
+        return true;
+    }
+
+    recent.push(now);
+    history.set(clientId, recent);
+    return false;
+}
+
+function addFailure(states, key, maxAttempts) {
+    const { failedAttemptWindow, lockoutDurations } = config.security;
+    const now = Date.now();
+    const state = states.get(key) || { failures: [], level: 0, lockedUntil: 0 };
+
+    // Start escalation over once a quiet window has passed since the last lockout
+    if (state.level > 0 && state.lockedUntil + failedAttemptWindow < now) {
+        state.level = 0;
+    }
+
+    state.failures = state.failures.filter(time => now - time < failedAttemptWindow);
+    state.failures.push(now);
+    states.set(key, state);
+
+    if (state.failures.length < maxAttempts) {
+        return null;
+    }
+
+    const duration = lockoutDurations[Math.min(state.level, lockoutDurations.length - 1)];
+    state.level++;
+    state.failures = [];
+    state.lockedUntil = now + duration * 1000;
+
+    return describeLockout(key, state);
+}
+
+function describeLockout(key, state) {
+    return {
+        scope: key === GLOBAL_SCOPE ? GLOBAL_SCOPE : 'client',
+        clientId: key === GLOBAL_SCOPE ? null : key,
+        lockedUntil: new Date(state.lockedUntil).toISOString(),
+        seconds: Math.ceil((state.lockedUntil - Date.now()) / 1000)
+    };
+}
+
+module.exports = {
+    GLOBAL_SCOPE,
+    getClientId,
+    getLockout,
+    recordFailure,
+    recordSuccess,
+    getAdminLockout,
+    recordAdminFailure,
+    recordAdminSuccess,
+    isRateLimited,
+    isPairingRateLimited
+};
@@ -0,0 +1,502 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const config = require('../config');
+const { MASTER_AREA, getStateTopic, getEventArea } = require('./alarmAreas');
+const homeAssistantSocket = require('./homeAssistantSocket');
+const metrics = require('./metrics');
+const { getMessage } = require('./messages');
+
+/**
+ * Alarmo command broker
+ *
+ * Alarmo's MQTT responses carry nothing that ties them to the command that
+ * caused them, so commands from every keypad go through this queue and only
+ * one is in flight at a time. Responses are matched against the in-flight
+ * command (an ARM_AWAY event only answers an arm_away command), and when
+ * Alarmo stays silent the alarm entity's real state decides the outcome.
+ *
+ * Queue changes are broadcast to keypads as 'commandQueue' socket events,
+ * and Alarmo's rejections as 'alarmUpdateError' events.
+ */
+
+// Alarmo event for each arm mode
+const ARM_EVENTS = {
+    arm_away: 'ARM_AWAY',
+    arm_home: 'ARM_HOME',
+    arm_night: 'ARM_NIGHT',
+    arm_vacation: 'ARM_VACATION',
+    arm_custom_bypass: 'ARM_CUSTOM_BYPASS'
+};
+
+// Alarmo events that reject a command, whatever its mode
+const ERROR_EVENTS = ['FAILED_TO_ARM', 'COMMAND_NOT_ALLOWED', 'INVALID_CODE_PROVIDED', 'NO_CODE_PROVIDED'];
+
+let mqttClient = null;
+let io = null;
+let getCachedState = () => null;
+let getAreas = () => [];
+
+const queue = [];
+let inFlight = null;
+
+/**
+ * Connects the broker to the shared MQTT and socket.io clients
+ * @param {Object} options
+ * @param {Object} options.mqttClient - The connected MQTT client
+ * @param {Object} options.io - The socket.io server
+ * @param {Function} options.getCachedState - Returns the last MQTT state for an area
+ * @param {Function} options.getAreas - Returns the areas that have reported a state
+ */
+function initialize(options) {
+    mqttClient = options.mqttClient;
+    io = options.io;
+    getCachedState = options.getCachedState;
+    getAreas = options.getAreas;
+
+    mqttClient.on('message', handleMessage);
+}
+
+/**
+ * Checks whether a mode is a command the broker can send to Alarmo
+ * @param {string} mode - The requested mode (e.g. arm_away, disarm)
+ * @returns {boolean}
+ */
+function isValidMode(mode) {
+    return mode === 'disarm' || Object.prototype.hasOwnProperty.call(ARM_EVENTS, mode);
+}
+
+/**
+ * Queues a command for Alarmo
+ * @param {Object} command
+ * @param {string} command.mode - The Alarmo command (e.g. arm_away, disarm)
+ * @param {string} command.code - The security code to send
+ * @param {string} [command.area] - The area slug; master when omitted
+ * @param {boolean} [command.force] - Arm past every open sensor
+ * @param {string} [command.keypadId] - The keypad that sent the command
+ * @returns {Promise<Object>} Resolves with { status, body } for the HTTP response
+ */
+function submit(command) {
+    if (queue.length >= config.alarm.maxQueuedCommands) {
+        return Promise.resolve({
+            status: 503,
+            body: {
+                success: false,
+                ...getMessage('error.busy'),
+                event: 'BUSY'
+            }
+        });
+    }
+
+    return new Promise(resolve => {
+        queue.push({
+            ...command,
+            id: crypto.randomUUID(),
+            area: command.area || MASTER_AREA,
+            resolve
+        });
+        processQueue();
+    });
+}
+
+/**
+ * Returns the queue as broadcast to keypads (codes are never included)
+ * @returns {Object} { busy, inFlight, queued }
+ */
+function getQueueState() {
+    const describe = command => ({ id: command.id, mode: command.mode, area: command.area, keypadId: command.keypadId || null });
+    return {
+        busy: inFlight !== null,
+        inFlight: inFlight ? describe(inFlight) : null,
+        queued: queue.map(describe)
+    };
+}
+
+function processQueue() {
+    if (inFlight || queue.length === 0) {
+        broadcastQueueState();
+        return;
+    }
+
+    inFlight = queue.shift();
+    broadcastQueueState();
+
+    inFlight.timeout = setTimeout(() => {
+        verifyAfterTimeout(inFlight);
+    }, config.alarm.commandTimeout);
+
+    try {
+        const payload = {
+            command: inFlight.mode,
+            code: inFlight.code
+        };
+
+        // Alarmo targets the master area unless an area is given
+        if (inFlight.area !== MASTER_AREA) {
+            payload.area = inFlight.area;
+        }
+
+        // Ask Alarmo to arm past the open sensors - it bypasses all of them, never just some
+        if (inFlight.force && inFlight.mode !== 'disarm') {
+            payload.force = true;
+            payload.bypass_open_sensors = true;
+        }
+
+        mqttClient.publish('alarmo/command', JSON.stringify(payload));
+        inFlight.publishedAt = Date.now();
+    } catch (error) {
+        console.error('Error sending MQTT command:', error);
+
+        if (io) {
+            io.emit('alarmUpdateError', {
+                error: 'MQTT_PUBLISH_ERROR',
+                ...getMessage('error.publishFailed')
+            });
+        }
+
+        complete(inFlight, 500, {
+            success: false,
+            ...getMessage('error.publishFailed')
+        });
+    }
+}
+
+function handleMessage(topic, message) {
+    const command = inFlight;
+    if (!command || command.verifying || command.answeredAt) {
+        return;
+    }
+
+    if (topic === 'alarmo/event') {
+        let response;
+        try {
+            response = JSON.parse(message.toString());
+        } catch (e) {
+            console.error('Error parsing MQTT response:', e);
+            return;
+        }
+
+        // Another area's events can't answer this command
+        if (!isEventForArea(response, command.area)) {
+            console.log(`Ignoring Alarmo event ${response.event} for area ${response.area_id} while waiting for ${command.area}`);
+            return;
+        }
+
+        // An arm event only answers an arm command of the same mode
+        if (ARM_EVENTS[command.mode] && response.event === ARM_EVENTS[command.mode]) {
+            const armed = {
+                success: true,
+                event: response.event,
+                state: mapEventToState(response.event),
+                area: command.area
+            };
+
+            // Alarmo lists the open sensors it forced past; name them for the keypads
+            const sensors = command.force ? getEventSensors(response) : [];
+            if (sensors.length === 0) {
+                return answer(command, 200, armed);
+            }
+            command.answeredAt = Date.now();
+            resolveSensorNames(sensors).then(named => {
+                answer(command, 200, { ...armed, sensors: named });
+            });
+            return;
+        }
+
+        if (ERROR_EVENTS.includes(response.event)) {
+            // Failing to arm can't be the answer to a disarm
+            if (response.event === 'FAILED_TO_ARM' && !ARM_EVENTS[command.mode]) {
+                return;
+            }
+
+            // Keep the command in flight while the blocking sensors' names are looked up
+            command.answeredAt = Date.now();
+            resolveSensorNames(getEventSensors(response)).then(sensors => {
+                rejectCommand(command, response.event, sensors);
+            });
+            return;
+        }
+
+        // Anything else came from somewhere other than this command
+        console.log(`Ignoring Alarmo event ${response.event} while waiting for ${command.mode}`);
+        return;
+    }
+
+    // A disarm completes when the targeted area's state topic reports disarmed
+    if (command.mode === 'disarm' && topic === getStateTopic(command.area) && message.toString() === 'disarmed') {
+        answer(command, 200, {
+            success: true,
+            event: 'DISARMED',
+            state: 'disarmed',
+            area: command.area
+        });
+    }
+}
+
+/**
+ * Checks whether an Alarmo event belongs to an area
+ * Events that don't name an area can't be told apart, so they match any area
+ * @param {Object} response - The parsed alarmo/event payload
+ * @param {string} area - The area slug of the in-flight command
+ * @returns {boolean}
+ */
+function isEventForArea(response, area) {
+    if (response.area_id === undefined || response.area_id === null) {
+        return true;
+    }
+    return getEventArea(response, getAreas()) === area;
+}
+
+/**
+ * Checks the alarm entity after Alarmo failed to answer in time
+ * Reports success if the alarm actually reached the requested state
+ */
+async function verifyAfterTimeout(command) {
+    if (inFlight !== command || command.answeredAt) {
+        return;
+    }
+    command.verifying = true;
+
+    const state = await getActualState(command.area);
+    if (inFlight !== command) {
+        return;
+    }
+
+    if (state && isExpectedState(command.mode, state)) {
+        console.warn(`No response to ${command.mode}, but ${command.area} is ${state} - reporting success`);
+        return complete(command, 200, {
+            success: true,
+            event: command.mode === 'disarm' ? 'DISARMED' : ARM_EVENTS[command.mode],
+            state: state,
+            area: command.area,
+            verified: true
+        });
+    }
+
+    // Emit timeout event via Socket.IO
+    if (io) {
+        io.emit('alarmUpdateTimeout', { mode: command.mode, area: command.area, state: state });
+    }
+
+    complete(command, 504, {
+        success: false,
+        ...(state ? getMessage('error.timeoutWithState', { state }) : getMessage('error.timeout')),
+        event: 'TIMEOUT',
+        state: state,
+        area: command.area
+    });
+}
+
+/**
+ * Reads an area's real state from Home Assistant, falling back to the last MQTT state
+ * @param {string} area - The area slug
+ * @returns {Promise<string|null>} The state, or null if unknown
+ */
+async function getActualState(area) {
+    const entityId = area === MASTER_AREA ? config.alarm.entityId : `alarm_control_panel.${area}`;
+
+    try {
+        const response = await axios.get(`${config.homeAssistant.apiUrl}/states/${entityId}`, {
+            headers: {
+                'Authorization': `Bearer ${config.homeAssistant.apiKey}`,
+                'Content-Type': 'application/json'
+            },
+            timeout: 3000
+        });
+        return response.data.state;
+    } catch (error) {
+        console.error(`Error checking ${entityId} after timeout:`, error.message);
+        return getCachedState(area) || null;
+    }
+}
+
+function isExpectedState(mode, state) {
+    if (mode === 'disarm') {
+        return state === 'disarmed';
+    }
+    // An exit delay in progress means the arm command was accepted
+    return state === mapEventToState(ARM_EVENTS[mode]) || state === 'arming';
+}
+
+/**
+ * Completes a command with Alarmo's answer, recording how long it took
+ */
+function answer(command, status, body) {
+    if (command.publishedAt) {
+        metrics.recordAlarmoResponse(command.mode, (command.answeredAt || Date.now()) - command.publishedAt);
+    }
+    complete(command, status, body);
+}
+
+/**
+ * Completes a command Alarmo rejected and lets keypads know why
+ * @param {Object} command - The in-flight command
+ * @param {string} event - The Alarmo error event (e.g. FAILED_TO_ARM)
+ * @param {Array<Object>} sensors - The sensors that blocked it, as { entity_id, name }
+ */
+function rejectCommand(command, event, sensors) {
+    if (command.done) {
+        return;
+    }
+
+    const message = getErrorMessage(event, sensors);
+
+    if (io) {
+        io.emit('alarmUpdateError', {
+            error: event,
+            event: event,
+            ...message,
+            mode: command.mode,
+            area: command.area,
+            keypadId: command.keypadId || null,
+            sensors: sensors
+        });
+    }
+
+    answer(command, 400, {
+        success: false,
+        ...message,
+        event: event,
+        area: command.area,
+        sensors: sensors
+    });
+}
+
+/**
+ * Returns the sensors listed in an Alarmo event
+ * Alarmo lists sensors as { entity_id, name } objects; older versions send
+ * entity IDs, or an object keyed by entity ID
+ * @param {Object} payload - The parsed alarmo/event payload
+ * @returns {Array<Object>} The sensors as { entity_id, name }
+ */
+function getEventSensors(payload) {
+    let sensors = payload.sensors || payload.open_sensors || [];
+    if (!Array.isArray(sensors) && typeof sensors === 'object') {
+        sensors = Object.keys(sensors);
+    }
+    if (!Array.isArray(sensors)) {
+        return [];
+    }
+
+    return sensors
+        .map(sensor => typeof sensor === 'string'
+            ? { entity_id: sensor, name: null }
+            : { entity_id: sensor && sensor.entity_id, name: (sensor && typeof sensor.name === 'string' && sensor.name) || null })
+        .filter(sensor => typeof sensor.entity_id === 'string');
+}
+
+/**
+ * Fills in each sensor's friendly name from Home Assistant
+ * Uses the WebSocket state cache, falling back to the REST API for unwatched sensors.
+ * Only sensors keypads may read are looked up; the rest keep Alarmo's name
+ * @param {Array<Object>} sensors - Sensors as { entity_id, name }
+ * @returns {Promise<Array<Object>>} The sensors with names where Home Assistant has one
+ */
+function resolveSensorNames(sensors) {
+    return Promise.all(sensors.map(async sensor => {
+        if (!isReadableEntity(sensor.entity_id)) {
+            return sensor;
+        }
+
+        const cached = homeAssistantSocket.getStates([sensor.entity_id]);
+        const state = cached ? cached[0] : await getEntityState(sensor.entity_id);
+        const friendlyName = state && state.attributes ? state.attributes.friendly_name : null;
+
+        return { entity_id: sensor.entity_id, name: friendlyName || sensor.name };
+    }));
+}
+
+/**
+ * Reads one entity's state from the Home Assistant REST API
+ * @param {string} entityId - The entity to read
+ * @returns {Promise<Object|null>} The state object, or null if it couldn't be read
+ */
+async function getEntityState(entityId) {
+    try {
+        const response = await metrics.timeHomeAssistantRequest('state', () => axios.get(`${config.homeAssistant.apiUrl}/states/${encodeURIComponent(entityId)}`, {
+            headers: {
+                'Authorization': `Bearer ${config.homeAssistant.apiKey}`,
+                'Content-Type': 'application/json'
+            },
+            timeout: 2000
+        }));
+        return response.data;
+    } catch (error) {
+        console.error(`Error reading ${entityId} for its name:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Checks an entity is one keypads may read (the watched sensors or the sensor allowlist)
+ * @param {string} entityId - The entity ID
+ * @returns {boolean}
+ */
+function isReadableEntity(entityId) {
+    return config.sensors.list.includes(entityId) || config.sensors.allowlist.includes(entityId);
+}
+
+function complete(command, status, body) {
+    if (command.done) {
+        return;
+    }
+    command.done = true;
+    clearTimeout(command.timeout);
+
+    if (inFlight === command) {
+        inFlight = null;
+    }
+
+    command.resolve({ status, body });
+    processQueue();
+}
+
+function broadcastQueueState() {
+    if (io) {
+        io.emit('commandQueue', getQueueState());
+    }
+}
+
+/**
+ * Helper function to map alarm events to states
+ * @param {string} event - The event from alarmo
+ * @returns {string} The corresponding state
+ */
+function mapEventToState(event) {
+    switch(event) {
+        case 'ARM_AWAY': return 'armed_away';
+        case 'ARM_HOME': return 'armed_home';
+        case 'ARM_NIGHT': return 'armed_night';
+        case 'ARM_VACATION': return 'armed_vacation';
+        case 'ARM_CUSTOM_BYPASS': return 'armed_custom_bypass';
+        case 'TRIGGER': return 'triggered';
+        default: return 'unknown';
+    }
+}
+
+/**
+ * Helper function to get user-friendly error messages
+ * @param {string} event - The error event from alarmo
+ * @param {Array<Object>} [sensors] - The sensors that blocked the command
+ * @returns {Object} The message fields from messages.getMessage
+ */
+function getErrorMessage(event, sensors = []) {
+    const names = sensors.map(sensor => sensor.name || sensor.entity_id);
+
+    switch(event) {
+        case 'FAILED_TO_ARM': return names.length > 0
+            ? getMessage('error.failedToArmSensors', { sensors: names, count: names.length })
+            : getMessage('error.failedToArm');
+        case 'COMMAND_NOT_ALLOWED': return getMessage('error.commandNotAllowed');
+        case 'INVALID_CODE_PROVIDED': return getMessage('error.invalidCode');
+        case 'NO_CODE_PROVIDED': return getMessage('error.noCode');
+        default: return getMessage('error.commandFailed');
+    }
+}
+
+module.exports = {
+    initialize,
+    submit,
+    isValidMode,
+    getQueueState,
+    getEventSensors
+};
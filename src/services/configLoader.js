@@ -0,0 +1,530 @@
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const YAML = require('yaml');
+const schema = require('../configSchema');
+
+/**
+ * Configuration loading, validation and hot reload
+ *
+ * Settings come from the schema defaults, then the config file (YAML or JSON),
+ * then environment variables. Everything is validated against the schema and
+ * problems are reported as one readable list. When the config file changes,
+ * settings that don't need a restart are applied to the live config object
+ * and a 'changed' event lists what changed.
+ */
+
+// Config files looked for in the data directory when CONFIG_FILE isn't set
+const DEFAULT_CONFIG_FILES = ['config.yaml', 'config.yml', 'config.json'];
+const DATA_DIR = path.join(__dirname, '..', '..', 'data');
+
+// Wait for editors to finish writing before reloading
+const RELOAD_DEBOUNCE = 500;
+
+const ENTITY_ID_PATTERN = /^[a-z_]+\.[a-z0-9_]+$/;
+const URL_PATTERN = /^(https?|wss?|mqtts?|tcp|ssl):\/\/\S+$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const events = new EventEmitter();
+
+let watcher = null;
+let reloadTimer = null;
+
+/**
+ * Builds and validates the configuration
+ * @returns {Object} The settings, grouped by schema section
+ * @throws {Error} With an errors array (one message per problem) and the config file path
+ */
+function loadConfig() {
+    return buildConfig().settings;
+}
+
+/**
+ * Watches the config file and applies changes to the live config
+ * Invalid changes are reported and ignored, keeping the current settings
+ * @param {Object} config - The live config object returned by loadConfig
+ */
+function watchConfig(config) {
+    const filePath = getConfigFilePath();
+    const directory = filePath ? path.dirname(filePath) : DATA_DIR;
+
+    if (watcher || !fs.existsSync(directory)) {
+        return;
+    }
+
+    const watchedNames = filePath ? [path.basename(filePath)] : DEFAULT_CONFIG_FILES;
+
+    watcher = fs.watch(directory, (eventType, filename) => {
+        if (filename && !watchedNames.includes(filename)) {
+            return;
+        }
+        clearTimeout(reloadTimer);
+        reloadTimer = setTimeout(() => reloadConfig(config), RELOAD_DEBOUNCE);
+    });
+    watcher.on('error', error => console.error('Error watching config file:', error.message));
+
+    console.log(`Watching ${filePath || directory} for configuration changes`);
+}
+
+/**
+ * Reloads the config file and applies the settings that can change live
+ * @param {Object} config - The live config object
+ * @returns {Array<string>} The settings that changed (e.g. sensors.list)
+ */
+function reloadConfig(config) {
+    let result;
+    try {
+        result = buildConfig();
+    } catch (error) {
+        console.error(`Configuration not reloaded - ${error.file || 'configuration'} is invalid:`);
+        (error.errors || [error.message]).forEach(message => console.error(`  - ${message}`));
+        return [];
+    }
+
+    const changed = [];
+    const needsRestart = [];
+
+    for (const [section, fields] of Object.entries(schema)) {
+        for (const [key, spec] of Object.entries(fields)) {
+            const name = `${section}.${key}`;
+            const value = result.settings[section][key];
+
+            // Generated defaults (like the MQTT client ID) differ on every load
+            if (typeof spec.default === 'function' && !result.explicit.has(name)) {
+                continue;
+            }
+            if (JSON.stringify(value) === JSON.stringify(config[section][key])) {
+                continue;
+            }
+
+            if (spec.restart) {
+                needsRestart.push(name);
+            } else {
+                config[section][key] = value;
+                changed.push(name);
+            }
+        }
+    }
+
+    if (needsRestart.length > 0) {
+        console.warn(`Restart the keypad server to apply: ${needsRestart.join(', ')}`);
+    }
+    if (changed.length > 0) {
+        console.log(`Configuration reloaded: ${changed.join(', ')}`);
+        events.emit('changed', changed);
+    }
+
+    return changed;
+}
+
+/**
+ * Describes the settings the admin page may edit (secrets and file paths are left out)
+ * @param {Object} config - The live config object
+ * @returns {Object} Per section and setting: { value, type, values, min, max, restart, env, overridden }
+ */
+function describeSettings(config) {
+    const settings = {};
+
+    for (const [section, fields] of Object.entries(schema)) {
+        for (const [key, spec] of Object.entries(fields)) {
+            if (spec.secret || spec.filesystem) {
+                continue;
+            }
+            settings[section] = settings[section] || {};
+            settings[section][key] = {
+                value: config[section][key],
+                type: spec.type,
+                values: spec.values,
+                min: spec.min,
+                max: spec.max,
+                restart: Boolean(spec.restart),
+                env: spec.env,
+                // Values set in the environment win over the config file
+                overridden: isEnvSet(spec)
+            };
+        }
+    }
+
+    return settings;
+}
+
+/**
+ * Validates settings, writes them to the config file and applies them
+ * A null value removes the setting from the file so its default applies again
+ * @param {Object} config - The live config object
+ * @param {Object} updates - New values grouped by section, e.g. { sensors: { list: [...] } }
+ * @returns {Object} { changed, needsRestart, overridden } - lists of setting names
+ * @throws {Error} With an errors array when any value is invalid
+ */
+function saveSettings(config, updates) {
+    const errors = [];
+    const values = [];
+
+    for (const [section, fields] of Object.entries(isPlainObject(updates) ? updates : {})) {
+        for (const [key, value] of Object.entries(isPlainObject(fields) ? fields : {})) {
+            const name = `${section}.${key}`;
+            const spec = schema[section] && schema[section][key];
+
+            if (!spec || spec.secret || spec.filesystem) {
+                errors.push(`${name}: can't be changed from the settings page`);
+                continue;
+            }
+            if (value === null) {
+                values.push({ section, key, value: undefined, spec });
+                continue;
+            }
+
+            const result = validateValue(spec, value);
+            if (result.error) {
+                errors.push(`${name}: ${result.error}`);
+            } else {
+                values.push({ section, key, value: result.value, spec });
+            }
+        }
+    }
+
+    if (errors.length > 0) {
+        const error = new Error('Invalid settings');
+        error.errors = errors;
+        throw error;
+    }
+
+    const filePath = getConfigFilePath() || path.join(DATA_DIR, DEFAULT_CONFIG_FILES[0]);
+    writeConfigFile(filePath, values);
+
+    const changed = reloadConfig(config);
+    const saved = values.map(({ section, key }) => `${section}.${key}`);
+
+    return {
+        changed,
+        needsRestart: values.filter(({ spec }) => spec.restart).map(({ section, key }) => `${section}.${key}`),
+        overridden: saved.filter(name => {
+            const [section, key] = name.split('.');
+            return isEnvSet(schema[section][key]);
+        })
+    };
+}
+
+function writeConfigFile(filePath, values) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const contents = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : '';
+
+    if (path.extname(filePath) === '.json') {
+        const data = contents.trim() ? JSON.parse(contents) : {};
+        values.forEach(({ section, key, value }) => {
+            data[section] = data[section] || {};
+            if (value === undefined) {
+                delete data[section][key];
+            } else {
+                data[section][key] = value;
+            }
+        });
+        fs.writeFileSync(filePath, JSON.stringify(data, null, 2) + '\n');
+        return;
+    }
+
+    // Edit the YAML document in place so comments in the file survive
+    const document = YAML.parseDocument(contents);
+    if (document.errors.length > 0) {
+        throw fileError(filePath, `is not valid YAML: ${document.errors[0].message}`);
+    }
+    if (!document.contents) {
+        document.contents = document.createNode({});
+    }
+    values.forEach(({ section, key, value }) => {
+        if (value === undefined) {
+            if (document.hasIn([section, key])) {
+                document.deleteIn([section, key]);
+            }
+        } else {
+            document.setIn([section, key], value);
+        }
+    });
+    fs.writeFileSync(filePath, document.toString());
+}
+
+function isEnvSet(spec) {
+    return Boolean(spec.env && process.env[spec.env] !== undefined && process.env[spec.env] !== '');
+}
+
+function buildConfig() {
+    const filePath = getConfigFilePath();
+    const fileValues = readConfigFile(filePath);
+    const errors = [];
+    const explicit = new Set();
+    const settings = {};
+
+    // Report settings the schema doesn't know, most likely typos
+    for (const [section, fields] of Object.entries(fileValues)) {
+        if (!schema[section]) {
+            console.warn(`Ignoring unknown config section "${section}" in ${filePath}`);
+            continue;
+        }
+        if (!isPlainObject(fields)) {
+            errors.push(`${section}: expected a group of settings, got ${describe(fields)}`);
+            continue;
+        }
+        Object.keys(fields)
+            .filter(key => !schema[section][key])
+            .forEach(key => console.warn(`Ignoring unknown setting "${section}.${key}" in ${filePath}`));
+    }
+
+    for (const [section, fields] of Object.entries(schema)) {
+        settings[section] = {};
+        const sectionValues = isPlainObject(fileValues[section]) ? fileValues[section] : {};
+
+        for (const [key, spec] of Object.entries(fields)) {
+            const name = `${section}.${key}`;
+            let value;
+            let label = name;
+
+            if (isEnvSet(spec)) {
+                value = parseEnvValue(spec, process.env[spec.env]);
+                label = `${name} (${spec.env})`;
+            } else if (sectionValues[key] !== undefined) {
+                value = sectionValues[key];
+            } else {
+                // Function defaults are resolved once everything else is known
+                settings[section][key] = typeof spec.default === 'function' ? undefined : spec.default;
+                continue;
+            }
+
+            explicit.add(name);
+            const result = validateValue(spec, value);
+            if (result.error) {
+                errors.push(`${label}: ${result.error}`);
+            } else {
+                settings[section][key] = result.value;
+            }
+        }
+    }
+
+    if (errors.length > 0) {
+        const error = new Error('Invalid configuration');
+        error.errors = errors;
+        error.file = filePath;
+        throw error;
+    }
+
+    for (const [section, fields] of Object.entries(schema)) {
+        for (const [key, spec] of Object.entries(fields)) {
+            if (typeof spec.default === 'function' && !explicit.has(`${section}.${key}`)) {
+                settings[section][key] = spec.default(settings);
+            }
+        }
+    }
+
+    return { settings, explicit };
+}
+
+function getConfigFilePath() {
+    if (process.env.CONFIG_FILE) {
+        return path.resolve(process.env.CONFIG_FILE);
+    }
+    const found = DEFAULT_CONFIG_FILES.map(name => path.join(DATA_DIR, name)).find(file => fs.existsSync(file));
+    return found || null;
+}
+
+function readConfigFile(filePath) {
+    if (!filePath) {
+        return {};
+    }
+
+    let contents;
+    try {
+        contents = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+        // A missing file just means everything comes from defaults and the environment
+        if (error.code === 'ENOENT') {
+            return {};
+        }
+        throw fileError(filePath, `could not be read (${error.message})`);
+    }
+
+    let values;
+    try {
+        values = path.extname(filePath) === '.json' ? JSON.parse(contents) : YAML.parse(contents);
+    } catch (error) {
+        throw fileError(filePath, `is not valid ${path.extname(filePath) === '.json' ? 'JSON' : 'YAML'}: ${error.message}`);
+    }
+
+    if (values === null || values === undefined) {
+        return {};
+    }
+    if (!isPlainObject(values)) {
+        throw fileError(filePath, 'must contain a group of settings at the top level');
+    }
+    return values;
+}
+
+/**
+ * Converts an environment variable to the type its setting expects
+ * Lists may be JSON arrays or comma-separated
+ */
+function parseEnvValue(spec, raw) {
+    switch (spec.type) {
+        case 'boolean':
+            return /^(true|false)$/i.test(raw.trim()) ? raw.trim().toLowerCase() === 'true' : raw;
+        case 'integer': {
+            // Keep text that isn't a number so the error shows what was set
+            const number = Number(raw);
+            return raw.trim() === '' || isNaN(number) ? raw : number;
+        }
+        case 'list':
+        case 'entityList':
+        case 'integerList': {
+            const result = parseListValue(raw);
+            if (result.error) {
+                // Keep the text so validation reports what was set
+                return raw;
+            }
+            return spec.type === 'integerList' ? result.value.map(Number) : result.value;
+        }
+        default:
+            return raw;
+    }
+}
+
+/**
+ * Reads a list written as a JSON array or as comma-separated text
+ * @returns {Object} { value } with the items, or { error } if the JSON is malformed
+ */
+function parseListValue(raw) {
+    const text = raw.trim();
+
+    if (text.startsWith('[')) {
+        try {
+            return { value: JSON.parse(text) };
+        } catch (e) {
+            return { error: `${describe(raw)} is not a valid JSON list (${e.message}) - use ["a", "b"] or a comma-separated list` };
+        }
+    }
+
+    return { value: text.split(',').map(item => item.trim()).filter(Boolean) };
+}
+
+/**
+ * Checks a value against its setting's schema
+ * @returns {Object} { value } when valid, otherwise { error } with a readable explanation
+ */
+function validateValue(spec, value) {
+    if (value === null && spec.default === null) {
+        return { value: null };
+    }
+
+    switch (spec.type) {
+        case 'string':
+            if (typeof value === 'number') {
+                // YAML reads unquoted codes like 1234 as numbers
+                return { value: String(value) };
+            }
+            return typeof value === 'string' && value.length > 0
+                ? { value }
+                : { error: `expected text, got ${describe(value)}` };
+
+        case 'url':
+            return typeof value === 'string' && URL_PATTERN.test(value)
+                ? { value }
+                : { error: `expected a URL like http://homeassistant.local:8123, got ${describe(value)}` };
+
+        case 'integer':
+            return validateInteger(spec, value);
+
+        case 'boolean':
+            return typeof value === 'boolean'
+                ? { value }
+                : { error: `expected true or false, got ${describe(value)}` };
+
+        case 'time':
+            return typeof value === 'string' && TIME_PATTERN.test(value)
+                ? { value }
+                : { error: `expected a time like 22:30, got ${describe(value)}` };
+
+        case 'enum':
+            return spec.values.includes(value)
+                ? { value }
+                : { error: `expected one of ${spec.values.join(', ')}, got ${describe(value)}` };
+
+        case 'entityId':
+            return typeof value === 'string' && ENTITY_ID_PATTERN.test(value)
+                ? { value }
+                : { error: `expected an entity ID like alarm_control_panel.alarmo, got ${describe(value)}` };
+
+        case 'entityList':
+        case 'list':
+        case 'integerList': {
+            const parsed = typeof value === 'string' ? parseListValue(value) : { value };
+            if (parsed.error) {
+                return { error: parsed.error };
+            }
+            const items = parsed.value;
+            if (!Array.isArray(items)) {
+                return { error: `expected a list, got ${describe(value)}` };
+            }
+            for (const item of items) {
+                const error = validateListItem(spec, item);
+                if (error) {
+                    return { error };
+                }
+            }
+            return { value: spec.type === 'integerList' ? items : Array.from(new Set(items)) };
+        }
+
+        default:
+            return { value };
+    }
+}
+
+function validateListItem(spec, item) {
+    switch (spec.type) {
+        case 'entityList':
+            return typeof item === 'string' && ENTITY_ID_PATTERN.test(item)
+                ? null
+                : `${describe(item)} is not an entity ID like binary_sensor.front_door`;
+        case 'list':
+            return spec.values.includes(item)
+                ? null
+                : `${describe(item)} is not one of ${spec.values.join(', ')}`;
+        case 'integerList':
+            return validateInteger(spec, item).error || null;
+        default:
+            return null;
+    }
+}
+
+function validateInteger(spec, value) {
+    if (typeof value !== 'number' || !Number.isInteger(value)) {
+        return { error: `expected a whole number, got ${describe(value)}` };
+    }
+    if (spec.min !== undefined && value < spec.min) {
+        return { error: `must be at least ${spec.min}, got ${value}` };
+    }
+    if (spec.max !== undefined && value > spec.max) {
+        return { error: `must be at most ${spec.max}, got ${value}` };
+    }
+    return { value };
+}
+
+function fileError(filePath, message) {
+    const error = new Error(`${filePath} ${message}`);
+    error.errors = [`${path.basename(filePath)} ${message}`];
+    error.file = filePath;
+    return error;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function describe(value) {
+    return JSON.stringify(value) ?? String(value);
+}
+
+module.exports = {
+    loadConfig,
+    watchConfig,
+    reloadConfig,
+    describeSettings,
+    saveSettings,
+    events
+};
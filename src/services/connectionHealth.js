@@ -0,0 +1,145 @@
+const EventEmitter = require('events');
+const axios = require('axios');
+const config = require('../config');
+
+/**
+ * Connection health tracking
+ *
+ * Tracks whether the keypad server can reach the MQTT broker (and so Alarmo),
+ * the Home Assistant REST API and the Home Assistant WebSocket API, and how
+ * many keypads are connected over socket.io. Emits 'changed' with the full
+ * health report whenever a connection goes up or down.
+ */
+
+// Connections the keypad can't work properly without
+const COMPONENTS = ['mqtt', 'homeAssistantApi', 'homeAssistantSocket'];
+
+const events = new EventEmitter();
+
+const components = {};
+COMPONENTS.forEach(name => {
+    components[name] = { healthy: false, since: new Date().toISOString(), lastError: null };
+});
+
+let socketClients = 0;
+let lastStateAt = null;
+let checkTimer = null;
+
+/**
+ * Records that a connection is up or down
+ * Only emits 'changed' when the connection's health actually changes
+ * @param {string} name - One of mqtt, homeAssistantApi, homeAssistantSocket
+ * @param {boolean} healthy - Whether the connection works
+ * @param {string} [error] - What went wrong, when it's down
+ */
+function setStatus(name, healthy, error) {
+    const component = components[name];
+    if (!component) {
+        return;
+    }
+
+    if (!healthy && error) {
+        component.lastError = error;
+    }
+    if (component.healthy === healthy) {
+        return;
+    }
+
+    component.healthy = healthy;
+    component.since = new Date().toISOString();
+
+    if (healthy) {
+        console.log(`Connection restored: ${name}`);
+    } else {
+        console.warn(`Connection lost: ${name}${error ? ` (${error})` : ''}`);
+    }
+    events.emit('changed', getHealth());
+}
+
+/**
+ * Records when Alarmo last reported a state, so keypads can show its age
+ */
+function recordStateUpdate() {
+    lastStateAt = new Date().toISOString();
+}
+
+/**
+ * Records the number of keypads connected over socket.io
+ * @param {number} count - Connected socket clients
+ */
+function setSocketClients(count) {
+    socketClients = count;
+}
+
+/**
+ * Returns the current health report
+ * @returns {Object} { status, components, socketClients, lastStateAt, timestamp }
+ */
+function getHealth() {
+    const healthy = COMPONENTS.every(name => components[name].healthy);
+    return {
+        status: healthy ? 'ok' : 'degraded',
+        components: JSON.parse(JSON.stringify(components)),
+        socketClients: socketClients,
+        lastStateAt: lastStateAt,
+        timestamp: new Date().toISOString()
+    };
+}
+
+/**
+ * Returns the health report without error details, for unauthenticated callers
+ * Errors can name internal hosts and addresses, so they only go to keypads and admins
+ * @returns {Object} { status, components: { <name>: { healthy, since } }, timestamp }
+ */
+function getPublicHealth() {
+    const health = getHealth();
+    const publicComponents = {};
+    COMPONENTS.forEach(name => {
+        publicComponents[name] = {
+            healthy: health.components[name].healthy,
+            since: health.components[name].since
+        };
+    });
+
+    return {
+        status: health.status,
+        components: publicComponents,
+        timestamp: health.timestamp
+    };
+}
+
+/**
+ * Starts checking the Home Assistant REST API on an interval
+ */
+function startChecks() {
+    if (checkTimer) {
+        return;
+    }
+    checkHomeAssistantApi();
+    checkTimer = setInterval(checkHomeAssistantApi, config.health.checkInterval);
+}
+
+async function checkHomeAssistantApi() {
+    try {
+        await axios.get(`${config.homeAssistant.apiUrl}/`, {
+            headers: {
+                'Authorization': `Bearer ${config.homeAssistant.apiKey}`,
+                'Content-Type': 'application/json'
+            },
+            timeout: 5000
+        });
+        setStatus('homeAssistantApi', true);
+    } catch (error) {
+        setStatus('homeAssistantApi', false, error.message);
+    }
+}
+
+module.exports = {
+    setStatus,
+    recordStateUpdate,
+    setSocketClients,
+    getHealth,
+    getPublicHealth,
+    startChecks,
+    events
+};
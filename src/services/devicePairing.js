@@ -0,0 +1,318 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+
+/**
+ * Keypad device pairing
+ *
+ * A new keypad requests pairing and shows a short pairing code. Once an admin
+ * approves that code, the keypad collects a device token that it sends with
+ * every REST call and socket connection. Tokens are stored hashed and can be
+ * revoked at any time.
+ */
+
+// Pairing requests waiting for approval or collection, keyed by pairing ID
+const pendingPairings = new Map();
+
+// Paired devices, loaded from the device store
+let devices = [];
+
+// Latest battery report from each device, keyed by device ID
+const deviceStatuses = new Map();
+
+/**
+ * Loads paired devices from the device store
+ */
+function initialize() {
+    const storePath = config.devices.storePath;
+    fs.mkdirSync(path.dirname(storePath), { recursive: true });
+
+    try {
+        devices = JSON.parse(fs.readFileSync(storePath, 'utf8')).devices || [];
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('Error reading device store:', error);
+        }
+        devices = [];
+    }
+
+    if (!config.devices.adminToken) {
+        console.warn('ADMIN_TOKEN is not set - new keypads cannot be paired');
+    }
+}
+
+/**
+ * Starts pairing a new keypad
+ * @param {Object} details
+ * @param {string} [details.keypadId] - The keypad's own ID
+ * @param {string} [details.name] - A name for the keypad
+ * @param {string} details.client - The client ID the request came from
+ * @returns {Object|null} { pairingId, code, expiresAt }, or null if too many pairings are pending
+ */
+function requestPairing(details) {
+    prunePairings();
+
+    if (pendingPairings.size >= config.devices.maxPendingPairings) {
+        return null;
+    }
+
+    // Six digit code that is easy to read off a tablet and type elsewhere
+    let code;
+    do {
+        code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+    } while (findPairingByCode(code));
+
+    const pairing = {
+        pairingId: crypto.randomUUID(),
+        code: code,
+        keypadId: details.keypadId || null,
+        name: details.name || details.keypadId || `Keypad ${code}`,
+        client: details.client,
+        requestedAt: new Date().toISOString(),
+        expiresAt: Date.now() + config.devices.pairingTimeout,
+        status: 'pending',
+        token: null
+    };
+    pendingPairings.set(pairing.pairingId, pairing);
+
+    console.log(`Pairing requested by ${pairing.name} (${pairing.client}) - code ${code}`);
+
+    return {
+        pairingId: pairing.pairingId,
+        code: pairing.code,
+        expiresAt: new Date(pairing.expiresAt).toISOString()
+    };
+}
+
+/**
+ * Approves a pending pairing and creates the device
+ * @param {string} code - The pairing code shown on the keypad
+ * @param {string} [name] - A name for the keypad, replacing the requested one
+ * @returns {Object|null} The new device, or null if no pending pairing has that code
+ */
+function approvePairing(code, name) {
+    prunePairings();
+
+    const pairing = findPairingByCode(code);
+    if (!pairing || pairing.status !== 'pending') {
+        return null;
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const device = {
+        id: crypto.randomUUID(),
+        keypadId: pairing.keypadId,
+        name: name || pairing.name,
+        tokenHash: hashToken(token),
+        pairedAt: new Date().toISOString(),
+        lastSeen: null
+    };
+    devices.push(device);
+    saveDevices();
+
+    // The keypad collects the token the next time it checks the pairing
+    pairing.status = 'approved';
+    pairing.token = token;
+    pairing.deviceId = device.id;
+
+    console.log(`Paired device ${device.name} (${device.id})`);
+
+    return describeDevice(device);
+}
+
+/**
+ * Checks a pairing on behalf of the keypad that requested it
+ * The token is handed over once and the pairing is then forgotten
+ * @param {string} pairingId - The pairing ID returned by requestPairing
+ * @returns {Object} { status, token?, device? }
+ */
+function collectPairing(pairingId) {
+    prunePairings();
+
+    const pairing = pendingPairings.get(pairingId);
+    if (!pairing) {
+        return { status: 'expired' };
+    }
+
+    if (pairing.status !== 'approved') {
+        return { status: 'pending', expiresAt: new Date(pairing.expiresAt).toISOString() };
+    }
+
+    pendingPairings.delete(pairingId);
+    const device = devices.find(entry => entry.id === pairing.deviceId);
+
+    return {
+        status: 'approved',
+        token: pairing.token,
+        device: device ? describeDevice(device) : null
+    };
+}
+
+/**
+ * Finds the device a token belongs to
+ * @param {string} token - The device token
+ * @returns {Object|null} The device, or null if the token is unknown or revoked
+ */
+function authenticate(token) {
+    if (!token || typeof token !== 'string') {
+        return null;
+    }
+
+    const tokenHash = hashToken(token);
+    const device = devices.find(entry => safeEqual(entry.tokenHash, tokenHash));
+    if (!device) {
+        return null;
+    }
+
+    device.lastSeen = new Date().toISOString();
+    return describeDevice(device);
+}
+
+/**
+ * Checks whether a token is the admin token
+ * @param {string} token - The token to check
+ * @returns {boolean}
+ */
+function isAdminToken(token) {
+    const adminToken = config.devices.adminToken;
+    return Boolean(adminToken && typeof token === 'string' && safeEqual(hashToken(adminToken), hashToken(token)));
+}
+
+/**
+ * Revokes a device so its token stops working
+ * @param {string} deviceId - The device ID
+ * @returns {boolean} True if the device existed
+ */
+function revokeDevice(deviceId) {
+    const index = devices.findIndex(entry => entry.id === deviceId);
+    if (index === -1) {
+        return false;
+    }
+
+    const [device] = devices.splice(index, 1);
+    deviceStatuses.delete(device.id);
+    saveDevices();
+    console.log(`Revoked device ${device.name} (${device.id})`);
+    return true;
+}
+
+/**
+ * Changes a device's own settings; a null value makes it follow the server's settings again
+ * @param {string} deviceId - The device ID
+ * @param {Object} settings - Any of { theme, scramble }
+ * @returns {Object|null} The updated device, or null if it doesn't exist
+ */
+function updateDeviceSettings(deviceId, settings) {
+    const device = devices.find(entry => entry.id === deviceId);
+    if (!device) {
+        return null;
+    }
+
+    Object.entries(settings).forEach(([name, value]) => {
+        device[name] = value;
+        console.log(`Set ${name} of device ${device.name} to ${value === null ? 'the server setting' : value}`);
+    });
+    saveDevices();
+    return describeDevice(device);
+}
+
+/**
+ * Records the battery state a keypad reported
+ * Only kept in memory - it's stale by the next restart anyway
+ * @param {string} deviceId - The reporting device
+ * @param {Object} status
+ * @param {number} status.batteryLevel - Battery charge, 0-100
+ * @param {boolean} status.charging - Whether the tablet is plugged in
+ */
+function reportStatus(deviceId, status) {
+    if (!devices.some(entry => entry.id === deviceId) || !status) {
+        return;
+    }
+
+    const batteryLevel = Number(status.batteryLevel);
+    deviceStatuses.set(deviceId, {
+        batteryLevel: Number.isFinite(batteryLevel) ? Math.min(100, Math.max(0, Math.round(batteryLevel))) : null,
+        charging: typeof status.charging === 'boolean' ? status.charging : null,
+        reportedAt: new Date().toISOString()
+    });
+}
+
+/**
+ * Lists paired devices and pairings waiting for approval
+ * @returns {Object} { devices, pendingPairings }
+ */
+function listDevices() {
+    prunePairings();
+
+    return {
+        devices: devices.map(describeDevice),
+        pendingPairings: Array.from(pendingPairings.values())
+            .filter(pairing => pairing.status === 'pending')
+            .map(pairing => ({
+                code: pairing.code,
+                keypadId: pairing.keypadId,
+                name: pairing.name,
+                client: pairing.client,
+                requestedAt: pairing.requestedAt,
+                expiresAt: new Date(pairing.expiresAt).toISOString()
+            }))
+    };
+}
+
+function findPairingByCode(code) {
+    return Array.from(pendingPairings.values()).find(pairing => pairing.code === String(code)) || null;
+}
+
+function prunePairings() {
+    const now = Date.now();
+    for (const [pairingId, pairing] of pendingPairings) {
+        if (pairing.expiresAt <= now) {
+            pendingPairings.delete(pairingId);
+        }
+    }
+}
+
+function saveDevices() {
+    try {
+        fs.writeFileSync(config.devices.storePath, JSON.stringify({ devices }, null, 2));
+    } catch (error) {
+        console.error('Error writing device store:', error);
+    }
+}
+
+function describeDevice(device) {
+    return {
+        id: device.id,
+        keypadId: device.keypadId,
+        name: device.name,
+        pairedAt: device.pairedAt,
+        lastSeen: device.lastSeen,
+        theme: device.theme || null,
+        scramble: device.scramble || null,
+        status: deviceStatuses.get(device.id) || null
+    };
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function safeEqual(a, b) {
+    const bufferA = Buffer.from(a);
+    const bufferB = Buffer.from(b);
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+module.exports = {
+    initialize,
+    requestPairing,
+    approvePairing,
+    collectPairing,
+    authenticate,
+    isAdminToken,
+    revokeDevice,
+    updateDeviceSettings,
+    reportStatus,
+    listDevices
+};
@@ -0,0 +1,268 @@
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const config = require('../config');
+
+/**
+ * Home Assistant WebSocket client
+ *
+ * Keeps a single state trigger subscription covering only the watched entities
+ * (so HA doesn't stream every entity's changes to us) and caches their latest
+ * states in memory, so routes can answer without downloading the full /states
+ * list and keypads can be pushed deltas. The subscription is replaced whenever
+ * the watched entities change.
+ *
+ * Emits:
+ *  - 'stateChanged' (entity) when a watched entity's state changes
+ *  - 'connected' once authenticated and the cache is loaded
+ *  - 'disconnected' when the connection drops
+ */
+const events = new EventEmitter();
+
+// Latest known state object for each watched entity, keyed by entity_id
+const stateCache = new Map();
+
+let socket = null;
+let watchedEntityIds = new Set();
+let messageId = 0;
+let pendingRequests = {};
+let ready = false;
+let reconnectTimer = null;
+
+// ID of the live trigger subscription; events from older subscriptions are ignored
+let subscriptionId = null;
+
+// Resubscriptions run one at a time so a quick run of reloads can't leave two subscriptions
+let resubscribing = Promise.resolve();
+
+/**
+ * Connects to Home Assistant and starts watching the given entities
+ * @param {Array<string>} entityIds - The entity IDs to cache and push updates for
+ */
+function connect(entityIds) {
+    watchedEntityIds = new Set(entityIds || []);
+    openSocket();
+}
+
+/**
+ * Replaces the set of watched entities and reloads the cache
+ * @param {Array<string>} entityIds - The new entity IDs to watch
+ */
+function setWatchedEntities(entityIds) {
+    watchedEntityIds = new Set(entityIds || []);
+
+    // Drop cached entities that are no longer watched
+    for (const entityId of stateCache.keys()) {
+        if (!watchedEntityIds.has(entityId)) {
+            stateCache.delete(entityId);
+        }
+    }
+
+    if (ready) {
+        resubscribing = resubscribing
+            .then(subscribe)
+            .then(loadStates)
+            .catch(error => console.error('Error resubscribing to Home Assistant states:', error.message));
+    }
+}
+
+/**
+ * Returns cached states for the requested entities
+ * @param {Array<string>} entityIds - The entity IDs to look up
+ * @returns {Array<Object>|null} The cached states, or null if any entity isn't cached
+ */
+function getStates(entityIds) {
+    if (!ready || !entityIds.every(entityId => stateCache.has(entityId))) {
+        return null;
+    }
+    return entityIds.map(entityId => stateCache.get(entityId));
+}
+
+/**
+ * Whether the socket is authenticated and the cache is loaded
+ * @returns {boolean}
+ */
+function isReady() {
+    return ready;
+}
+
+function openSocket() {
+    clearTimeout(reconnectTimer);
+    ready = false;
+    subscriptionId = null;
+
+    socket = new WebSocket(config.homeAssistant.websocketUrl);
+
+    socket.on('message', (data) => {
+        let message;
+        try {
+            message = JSON.parse(data.toString());
+        } catch (e) {
+            console.error('Error parsing Home Assistant WebSocket message:', e);
+            return;
+        }
+        handleMessage(message);
+    });
+
+    socket.on('close', () => {
+        const wasReady = ready;
+        ready = false;
+        rejectPendingRequests(new Error('Home Assistant WebSocket closed'));
+
+        if (wasReady) {
+            console.warn('Disconnected from Home Assistant WebSocket');
+            events.emit('disconnected');
+        }
+        scheduleReconnect();
+    });
+
+    socket.on('error', (error) => {
+        // 'close' follows every error, so reconnecting is handled there
+        console.error('Home Assistant WebSocket error:', error.message);
+    });
+}
+
+function scheduleReconnect() {
+    clearTimeout(reconnectTimer);
+    reconnectTimer = setTimeout(openSocket, config.homeAssistant.reconnectInterval);
+}
+
+function handleMessage(message) {
+    switch (message.type) {
+        case 'auth_required':
+            socket.send(JSON.stringify({ type: 'auth', access_token: config.homeAssistant.apiKey }));
+            break;
+
+        case 'auth_ok':
+            console.log('Connected to Home Assistant WebSocket');
+            onAuthenticated().catch(error => {
+                console.error('Error initializing Home Assistant subscription:', error.message);
+                socket.close();
+            });
+            break;
+
+        case 'auth_invalid':
+            console.error('Home Assistant WebSocket authentication failed:', message.message);
+            socket.close();
+            break;
+
+        case 'result': {
+            const request = pendingRequests[message.id];
+            if (request) {
+                delete pendingRequests[message.id];
+                if (message.success) {
+                    request.resolve(message.result);
+                } else {
+                    request.reject(new Error(message.error ? message.error.message : 'Request failed'));
+                }
+            }
+            break;
+        }
+
+        case 'event':
+            if (message.id === subscriptionId && message.event && message.event.variables) {
+                const trigger = message.event.variables.trigger;
+                handleStateChanged(trigger ? { entity_id: trigger.entity_id, new_state: trigger.to_state } : null);
+            }
+            break;
+
+        default:
+            break;
+    }
+}
+
+async function onAuthenticated() {
+    // Subscribe first so no change is missed between loading and subscribing
+    await subscribe();
+    await loadStates();
+
+    ready = true;
+    events.emit('connected');
+}
+
+/**
+ * Replaces the trigger subscription with one for the current watched entities
+ * A state trigger without from/to fires on every state or attribute change
+ */
+async function subscribe() {
+    const previous = subscriptionId;
+    subscriptionId = null;
+    if (previous !== null) {
+        await sendRequest({ type: 'unsubscribe_events', subscription: previous });
+    }
+
+    if (watchedEntityIds.size === 0) {
+        return;
+    }
+
+    // sendRequest assigns the message ID synchronously; HA sends the events under it
+    const request = sendRequest({
+        type: 'subscribe_trigger',
+        trigger: { platform: 'state', entity_id: [...watchedEntityIds] }
+    });
+    const id = messageId;
+    subscriptionId = id;
+
+    try {
+        await request;
+    } catch (error) {
+        if (subscriptionId === id) {
+            subscriptionId = null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Loads the current state of every watched entity into the cache
+ * Emits 'stateChanged' for entities that changed while we weren't listening
+ */
+async function loadStates() {
+    const states = await sendRequest({ type: 'get_states' });
+
+    states
+        .filter(entity => watchedEntityIds.has(entity.entity_id))
+        .forEach(entity => {
+            const previous = stateCache.get(entity.entity_id);
+            stateCache.set(entity.entity_id, entity);
+
+            if (previous && previous.state !== entity.state) {
+                events.emit('stateChanged', entity);
+            }
+        });
+}
+
+function handleStateChanged(data) {
+    if (!data || !watchedEntityIds.has(data.entity_id)) {
+        return;
+    }
+
+    if (data.new_state) {
+        stateCache.set(data.entity_id, data.new_state);
+    } else {
+        // Entity was removed from Home Assistant
+        stateCache.delete(data.entity_id);
+    }
+
+    events.emit('stateChanged', data.new_state || { entity_id: data.entity_id, state: 'unavailable', attributes: {} });
+}
+
+function sendRequest(payload) {
+    return new Promise((resolve, reject) => {
+        const id = ++messageId;
+        pendingRequests[id] = { resolve, reject };
+        socket.send(JSON.stringify({ id, ...payload }));
+    });
+}
+
+function rejectPendingRequests(error) {
+    Object.values(pendingRequests).forEach(request => request.reject(error));
+    pendingRequests = {};
+}
+
+module.exports = {
+    connect,
+    setWatchedEntities,
+    getStates,
+    isReady,
+    events
+};
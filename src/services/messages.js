@@ -0,0 +1,55 @@
+/**
+ * User-facing server messages
+ *
+ * Keypads show messages in their own language, so every message the server
+ * sends carries a stable messageKey and its messageParams next to the English
+ * text. The keypad looks the key up in its language bundle (src/public/js/locales)
+ * and only falls back to the English message for keys it doesn't know.
+ */
+
+// English text for each key, with {param} placeholders
+const MESSAGES = {
+    'error.codeRequired': 'Security code is required',
+    'error.invalidArea': 'Invalid area',
+    'error.invalidMode': 'Invalid alarm command',
+    'error.invalidSensors': 'Only watched sensors can be bypassed',
+    'error.lockedOut': 'Too many failed attempts. Keypad locked for {seconds} seconds.',
+    'error.rateLimited': 'Too many commands. Please wait a minute and try again.',
+    'error.busy': 'The alarm system is busy with other keypads. Please try again.',
+    'error.publishFailed': 'Failed to send command to alarm system',
+    'error.timeout': 'Timeout waiting for alarm system response',
+    'error.timeoutWithState': 'The alarm system did not respond. It is currently {state}.',
+    'error.failedToArm': 'Failed to arm the system. Please check if all sensors are closed.',
+    'error.failedToArmSensors': 'Failed to arm the system. Open sensors: {sensors}.',
+    'error.commandNotAllowed': 'Command not allowed in the current state.',
+    'error.invalidCode': 'Invalid security code provided.',
+    'error.noCode': 'Security code is required for this operation.',
+    'error.commandFailed': 'Failed to change the state of the alarm.'
+};
+
+/**
+ * Builds the message fields for a response body or socket event
+ * @param {string} key - The message key
+ * @param {Object} [params] - Values for the placeholders; arrays are joined for the English text
+ * @returns {Object} { message, messageKey, messageParams }
+ */
+function getMessage(key, params = {}) {
+    const template = MESSAGES[key] || key;
+    const message = template.replace(/\{(\w+)\}/g, (placeholder, name) => {
+        const value = params[name];
+        if (value === undefined || value === null) {
+            return placeholder;
+        }
+        return Array.isArray(value) ? value.join(', ') : String(value).replace(/_/g, ' ');
+    });
+
+    return {
+        message: message,
+        messageKey: key,
+        messageParams: params
+    };
+}
+
+module.exports = {
+    getMessage
+};
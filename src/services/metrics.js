@@ -0,0 +1,213 @@
+const client = require('prom-client');
+const { getAreaFromTopic } = require('./alarmAreas');
+
+/**
+ * Prometheus metrics for the keypad server
+ *
+ * Every metric is prefixed with alarmo_keypad_. Gauges that mirror live state
+ * (socket clients, connection health) are read when Prometheus scrapes, via
+ * the collectors registered in setCollectors.
+ */
+
+const PREFIX = 'alarmo_keypad_';
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register, prefix: PREFIX });
+
+const commandsTotal = new client.Counter({
+    name: `${PREFIX}commands_total`,
+    help: 'Keypad commands by mode and outcome',
+    labelNames: ['mode', 'outcome'],
+    registers: [register]
+});
+
+const commandTimeoutsTotal = new client.Counter({
+    name: `${PREFIX}command_timeouts_total`,
+    help: 'Commands from updateAlarmState that Alarmo did not answer in time',
+    labelNames: ['mode'],
+    registers: [register]
+});
+
+const alarmoResponseSeconds = new client.Histogram({
+    name: `${PREFIX}alarmo_response_seconds`,
+    help: 'Time from publishing a command to Alarmo answering it',
+    labelNames: ['mode'],
+    buckets: [0.05, 0.1, 0.25, 0.5, 1, 2, 3, 5],
+    registers: [register]
+});
+
+const mqttReconnectsTotal = new client.Counter({
+    name: `${PREFIX}mqtt_reconnects_total`,
+    help: 'MQTT reconnect attempts',
+    registers: [register]
+});
+
+const mqttMessagesTotal = new client.Counter({
+    name: `${PREFIX}mqtt_messages_total`,
+    help: 'MQTT messages published and received, by kind of topic (state, event, command, other)',
+    labelNames: ['direction', 'topic'],
+    registers: [register]
+});
+
+const lastAlarmoMessageSeconds = new client.Gauge({
+    name: `${PREFIX}last_alarmo_message_timestamp_seconds`,
+    help: 'Unix time of the last state or event received from Alarmo',
+    registers: [register]
+});
+
+const homeAssistantRequestSeconds = new client.Histogram({
+    name: `${PREFIX}home_assistant_request_seconds`,
+    help: 'Home Assistant REST API call latency',
+    labelNames: ['endpoint', 'status'],
+    buckets: [0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10],
+    registers: [register]
+});
+
+const homeAssistantFailuresTotal = new client.Counter({
+    name: `${PREFIX}home_assistant_request_failures_total`,
+    help: 'Home Assistant REST API calls that failed',
+    labelNames: ['endpoint'],
+    registers: [register]
+});
+
+const socketClients = new client.Gauge({
+    name: `${PREFIX}socket_clients`,
+    help: 'Keypads connected over socket.io',
+    registers: [register]
+});
+
+const connectionUp = new client.Gauge({
+    name: `${PREFIX}connection_up`,
+    help: 'Whether each upstream connection is working (1) or not (0)',
+    labelNames: ['component'],
+    registers: [register]
+});
+
+// Live values read at scrape time
+let collectors = {
+    getSocketClients: () => 0,
+    getHealth: () => null
+};
+
+/**
+ * Sets the functions that supply live values when Prometheus scrapes
+ * @param {Object} options
+ * @param {Function} options.getSocketClients - Returns the connected socket.io client count
+ * @param {Function} options.getHealth - Returns the connectionHealth report
+ */
+function setCollectors(options) {
+    collectors = { ...collectors, ...options };
+}
+
+/**
+ * Counts MQTT traffic and reconnects on the shared MQTT client
+ * @param {Object} mqttClient - The MQTT client
+ */
+function watchMqttClient(mqttClient) {
+    mqttClient.on('reconnect', () => mqttReconnectsTotal.inc());
+
+    mqttClient.on('packetsend', packet => {
+        if (packet.cmd === 'publish') {
+            mqttMessagesTotal.inc({ direction: 'out', topic: getTopicKind(packet.topic) });
+        }
+    });
+
+    mqttClient.on('packetreceive', packet => {
+        if (packet.cmd === 'publish') {
+            mqttMessagesTotal.inc({ direction: 'in', topic: getTopicKind(packet.topic) });
+            if (packet.topic.startsWith('alarmo/')) {
+                lastAlarmoMessageSeconds.setToCurrentTime();
+            }
+        }
+    });
+}
+
+/**
+ * Groups an MQTT topic into a fixed label value
+ * Topics are never used as labels themselves, so the duress and lockout
+ * topics can't show up on an open /metrics endpoint
+ * @param {string} topic - The MQTT topic
+ * @returns {string} state, event, command or other
+ */
+function getTopicKind(topic) {
+    if (getAreaFromTopic(topic)) {
+        return 'state';
+    }
+    if (topic === 'alarmo/event') {
+        return 'event';
+    }
+    if (topic === 'alarmo/command') {
+        return 'command';
+    }
+    return 'other';
+}
+
+/**
+ * Records a keypad command once the keypad has been answered
+ * @param {string} mode - The command mode (e.g. arm_away)
+ * @param {string} outcome - The audit outcome (e.g. success, timeout)
+ */
+function recordCommand(mode, outcome) {
+    commandsTotal.inc({ mode: mode || 'unknown', outcome });
+    if (outcome === 'timeout') {
+        commandTimeoutsTotal.inc({ mode: mode || 'unknown' });
+    }
+}
+
+/**
+ * Records how long Alarmo took to answer a command
+ * @param {string} mode - The command mode
+ * @param {number} milliseconds - Time from publishing to the answer
+ */
+function recordAlarmoResponse(mode, milliseconds) {
+    alarmoResponseSeconds.observe({ mode }, milliseconds / 1000);
+}
+
+/**
+ * Times a Home Assistant REST call and counts it if it fails
+ * @param {string} endpoint - A short name for the call (e.g. states)
+ * @param {Function} request - Makes the call and returns its promise
+ * @returns {Promise<*>} The call's result
+ */
+async function timeHomeAssistantRequest(endpoint, request) {
+    const startedAt = process.hrtime.bigint();
+    const elapsed = () => Number(process.hrtime.bigint() - startedAt) / 1e9;
+
+    try {
+        const response = await request();
+        homeAssistantRequestSeconds.observe({ endpoint, status: String(response.status) }, elapsed());
+        return response;
+    } catch (error) {
+        const status = error.response ? String(error.response.status) : 'error';
+        homeAssistantRequestSeconds.observe({ endpoint, status }, elapsed());
+        homeAssistantFailuresTotal.inc({ endpoint });
+        throw error;
+    }
+}
+
+/**
+ * Renders every metric in the Prometheus text format
+ * @returns {Promise<string>}
+ */
+async function getMetrics() {
+    socketClients.set(collectors.getSocketClients());
+
+    const health = collectors.getHealth();
+    if (health) {
+        Object.entries(health.components).forEach(([component, status]) => {
+            connectionUp.set({ component }, status.healthy ? 1 : 0);
+        });
+    }
+
+    return register.metrics();
+}
+
+module.exports = {
+    contentType: register.contentType,
+    setCollectors,
+    watchMqttClient,
+    recordCommand,
+    recordAlarmoResponse,
+    timeHomeAssistantRequest,
+    getMetrics
+};
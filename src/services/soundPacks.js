@@ -0,0 +1,197 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+
+/**
+ * Keypad sound packs
+ *
+ * A sound pack is a folder in the sound pack directory (data/sounds by default)
+ * with one audio file per keypad event, named after the event, e.g.
+ * data/sounds/westminster/chime.mp3. A pack doesn't need a file for every
+ * event - the keypad plays its built-in sound for the rest. Pack files are
+ * served under /sound-packs and can be uploaded from the admin page.
+ */
+
+// The keypad's built-in sounds, always available as a pack
+const DEFAULT_PACK = 'default';
+
+// Built-in sounds that are files in src/public/sounds; the rest are generated on the keypad
+const BUILT_IN_FILES = ['keypress', 'action', 'error', 'armed', 'disarmed'];
+
+// Audio files a pack may hold, by extension, with the content types uploads can use
+const AUDIO_TYPES = {
+    mp3: ['audio/mpeg', 'audio/mp3'],
+    wav: ['audio/wav', 'audio/x-wav', 'audio/wave'],
+    ogg: ['audio/ogg']
+};
+
+/**
+ * Creates the sound pack directory
+ */
+function initialize() {
+    fs.mkdirSync(config.sounds.packsPath, { recursive: true });
+}
+
+/**
+ * Returns the events that play a sound, from the <event>Pack settings
+ * @returns {Array<string>} e.g. ['keypress', 'armed', ...]
+ */
+function getSoundEvents() {
+    return Object.keys(config.sounds)
+        .filter(key => key.endsWith('Pack'))
+        .map(key => key.slice(0, -'Pack'.length));
+}
+
+/**
+ * Lists the built-in pack and every uploaded pack with the sounds it provides
+ * @returns {Array<Object>} [{ name, builtIn, sounds: { event: url } }]
+ */
+function listPacks() {
+    const builtIn = {
+        name: DEFAULT_PACK,
+        builtIn: true,
+        sounds: Object.fromEntries(BUILT_IN_FILES.map(event => [event, `/sounds/${event}.mp3`]))
+    };
+
+    let folders = [];
+    try {
+        folders = fs.readdirSync(config.sounds.packsPath, { withFileTypes: true })
+            .filter(entry => entry.isDirectory() && isValidPackName(entry.name))
+            .map(entry => entry.name)
+            .sort();
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('Error reading sound packs:', error);
+        }
+    }
+
+    return [builtIn, ...folders.map(name => ({
+        name: name,
+        builtIn: false,
+        sounds: readPackSounds(name)
+    }))];
+}
+
+/**
+ * Resolves the pack and volume chosen for every event
+ * Events whose pack is missing or has no file for them get a null url,
+ * and the keypad plays its built-in sound
+ * @returns {Object} { keypress: { pack, volume, url }, ... }
+ */
+function getEventSounds() {
+    const packs = Object.fromEntries(listPacks().map(pack => [pack.name, pack]));
+    const events = {};
+
+    getSoundEvents().forEach(event => {
+        const pack = packs[config.sounds[`${event}Pack`]];
+        events[event] = {
+            pack: pack ? pack.name : DEFAULT_PACK,
+            volume: config.sounds[`${event}Volume`],
+            // The built-in pack is played from the keypad's own preloaded sounds
+            url: pack && !pack.builtIn ? pack.sounds[event] || null : null
+        };
+    });
+
+    return events;
+}
+
+/**
+ * Stores an uploaded sound in a pack, creating the pack if needed
+ * Replaces the event's previous file whatever its format
+ * @param {string} pack - The pack name
+ * @param {string} event - The event the sound is for
+ * @param {Buffer} data - The audio file
+ * @param {string} extension - The file extension from getExtension
+ * @returns {string} The URL the sound is served from
+ */
+function saveSound(pack, event, data, extension) {
+    const folder = path.join(config.sounds.packsPath, pack);
+    fs.mkdirSync(folder, { recursive: true });
+
+    removeEventFiles(folder, event);
+    fs.writeFileSync(path.join(folder, `${event}.${extension}`), data);
+
+    console.log(`Saved ${event} sound in pack ${pack}`);
+    return readPackSounds(pack)[event];
+}
+
+/**
+ * Removes a sound from a pack, and the pack once it is empty
+ * @param {string} pack - The pack name
+ * @param {string} event - The event the sound is for
+ * @returns {boolean} True if the pack had a sound for the event
+ */
+function deleteSound(pack, event) {
+    const folder = path.join(config.sounds.packsPath, pack);
+    if (!removeEventFiles(folder, event)) {
+        return false;
+    }
+
+    if (fs.readdirSync(folder).length === 0) {
+        fs.rmdirSync(folder);
+    }
+
+    console.log(`Deleted ${event} sound from pack ${pack}`);
+    return true;
+}
+
+/**
+ * Checks that a pack name is safe to use as a folder name
+ * @param {string} name - The pack name
+ * @returns {boolean}
+ */
+function isValidPackName(name) {
+    return typeof name === 'string' && name !== DEFAULT_PACK && /^[a-z0-9][a-z0-9_-]{0,39}$/.test(name);
+}
+
+/**
+ * Returns the file extension for an uploaded sound's content type
+ * @param {string} contentType - The upload's Content-Type header
+ * @returns {string|null} e.g. 'mp3', or null if it isn't a supported audio type
+ */
+function getExtension(contentType) {
+    const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+    const match = Object.entries(AUDIO_TYPES).find(([, types]) => types.includes(type));
+    return match ? match[0] : null;
+}
+
+function readPackSounds(pack) {
+    const folder = path.join(config.sounds.packsPath, pack);
+    const events = getSoundEvents();
+    const sounds = {};
+
+    fs.readdirSync(folder).forEach(file => {
+        const { name, ext } = path.parse(file);
+        if (events.includes(name) && AUDIO_TYPES[ext.slice(1)]) {
+            // The modified time makes keypads fetch a replaced sound again
+            const modified = Math.floor(fs.statSync(path.join(folder, file)).mtimeMs);
+            sounds[name] = `/sound-packs/${pack}/${file}?v=${modified}`;
+        }
+    });
+
+    return sounds;
+}
+
+function removeEventFiles(folder, event) {
+    let removed = false;
+    Object.keys(AUDIO_TYPES).forEach(extension => {
+        const file = path.join(folder, `${event}.${extension}`);
+        if (fs.existsSync(file)) {
+            fs.unlinkSync(file);
+            removed = true;
+        }
+    });
+    return removed;
+}
+
+module.exports = {
+    DEFAULT_PACK,
+    initialize,
+    getSoundEvents,
+    listPacks,
+    getEventSounds,
+    saveSound,
+    deleteSound,
+    isValidPackName,
+    getExtension
+};